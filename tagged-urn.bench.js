@@ -0,0 +1,355 @@
+// Tagged URN parser benchmark
+// Compares TaggedUrn.fromString with the previous per-character parser on
+// short, long, quoted and heavily escaped inputs.
+//
+// Usage: node tagged-urn.bench.js [milliseconds per case]
+
+const { TaggedUrn, TaggedUrnError, ErrorCodes, ParseState } = require('./tagged-urn.js');
+
+// ============================================================================
+// LEGACY PARSER (baseline): code-point array, regex per character, string concatenation
+// ============================================================================
+
+const EXPECTED_TOKENS = {
+  [ParseState.EXPECTING_KEY]: ['key character', "';'"],
+  [ParseState.IN_KEY]: ['key character', "'='", "';'", 'end of input'],
+  [ParseState.EXPECTING_VALUE]: ['value character', "'\"'"],
+  [ParseState.IN_UNQUOTED_VALUE]: ['value character', "';'", 'end of input'],
+  [ParseState.IN_QUOTED_VALUE]: ['any character', "'\"'", "'\\'"],
+  [ParseState.IN_QUOTED_VALUE_ESCAPE]: ["'\"'", "'\\'"],
+  [ParseState.EXPECTING_SEMI_OR_END]: ["';'", 'end of input']
+};
+
+function legacyIsValidKeyChar(c) {
+  return /[a-zA-Z0-9_\-\/:\.]/.test(c);
+}
+
+function legacyIsValidUnquotedValueChar(c) {
+  return /[a-zA-Z0-9_\-\/:\.\*\?\!]/.test(c);
+}
+
+function createTags() {
+  return Object.create(null);
+}
+
+/**
+ * The parser as it was before the char-code/slice rewrite
+ */
+function legacyParse(s, diagnostics) {
+  const report = (err) => {
+    if (!diagnostics) {
+      throw err;
+    }
+    diagnostics.push(err);
+  };
+
+  if (!s || typeof s !== 'string') {
+    report(new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'Tagged URN cannot be empty', {
+      input: typeof s === 'string' ? s : undefined,
+      position: typeof s === 'string' ? 0 : undefined
+    }));
+    return null;
+  }
+
+  // Fail hard on leading/trailing whitespace (recovery parses the trimmed string)
+  let text = s;
+  let lead = 0;
+  if (s !== s.trim()) {
+    const position = s !== s.trimStart() ? 0 : [...s.trimEnd()].length;
+    report(new TaggedUrnError(ErrorCodes.WHITESPACE_IN_INPUT, `Tagged URN has leading or trailing whitespace: '${s}'`, {
+      input: s,
+      position,
+      character: [...s][position]
+    }));
+    text = s.trim();
+    lead = [...s].length - [...s.trimStart()].length;
+  }
+
+  // Find the prefix (everything before the first colon)
+  const colonPos = text.indexOf(':');
+  if (colonPos === -1) {
+    report(new TaggedUrnError(ErrorCodes.MISSING_PREFIX, "Tagged URN must have a prefix followed by ':'", {
+      input: s,
+      position: lead + [...text].length,
+      expected: ["':'"]
+    }));
+    return null;
+  }
+
+  if (colonPos === 0) {
+    report(new TaggedUrnError(ErrorCodes.EMPTY_PREFIX, 'Tagged URN prefix cannot be empty', {
+      input: s,
+      position: lead,
+      character: ':'
+    }));
+    return null;
+  }
+
+  // Prefix uses the key grammar (the first ':' ends it); recovery still checks the tags
+  const prefix = text.slice(0, colonPos).toLowerCase();
+  let prefixValid = true;
+  const prefixChars = [...text.slice(0, colonPos)];
+  const badPrefixChar = prefixChars.findIndex(c => !legacyIsValidKeyChar(c));
+  if (badPrefixChar !== -1) {
+    const c = prefixChars[badPrefixChar];
+    report(new TaggedUrnError(ErrorCodes.INVALID_CHARACTER, `invalid character '${c}' in prefix at position ${badPrefixChar}`, {
+      input: s,
+      position: lead + badPrefixChar,
+      character: c,
+      expected: ['key character', "':'"]
+    }));
+    prefixValid = false;
+  }
+  const tagsPart = text.slice(colonPos + 1);
+  const tags = createTags();
+
+  // Handle empty tagged URN (prefix: with no tags or just semicolon)
+  if (tagsPart === '' || tagsPart === ';') {
+    return prefixValid ? new TaggedUrn(prefix, tags, true) : null;
+  }
+
+  let state = ParseState.EXPECTING_KEY;
+  let currentKey = '';
+  let currentValue = '';
+  let keyStart = 0;
+  // Recovery flags: skipping to the next ';', or finishing a tag that will be dropped
+  let skipping = false;
+  let tagFailed = false;
+  const chars = [...tagsPart];
+  let pos = 0;
+
+  // Positions in diagnostics are absolute: offset of the tags part plus pos
+  const offset = lead + [...text.slice(0, colonPos)].length + 1;
+  const error = (code, message, at, details = {}) => new TaggedUrnError(code, message, {
+    input: s,
+    position: offset + at,
+    character: chars[at],
+    key: currentKey === '' ? undefined : currentKey,
+    state,
+    expected: EXPECTED_TOKENS[state],
+    ...details
+  });
+
+  const resetTag = () => {
+    currentKey = '';
+    currentValue = '';
+    tagFailed = false;
+  };
+
+  // Report an error and drop the current tag; an error on ';' itself resumes right away
+  const recover = (err, c) => {
+    report(err);
+    resetTag();
+    if (c === ';') {
+      state = ParseState.EXPECTING_KEY;
+    } else {
+      skipping = true;
+    }
+  };
+
+  const finishTag = () => {
+    if (currentKey === '') {
+      report(error(ErrorCodes.EMPTY_TAG, 'empty key', pos));
+    } else if (currentValue === '') {
+      report(error(ErrorCodes.EMPTY_TAG, `empty value for key '${currentKey}'`, pos));
+    } else if (currentKey in tags) {
+      // Check for duplicate keys
+      report(error(ErrorCodes.DUPLICATE_KEY, `Duplicate tag key: ${currentKey}`, keyStart, { character: undefined, expected: undefined }));
+    } else if (/^\d+$/.test(currentKey)) {
+      // Validate key cannot be purely numeric
+      report(error(ErrorCodes.NUMERIC_KEY, `Tag key cannot be purely numeric: ${currentKey}`, keyStart, { character: undefined, expected: undefined }));
+    } else if (!tagFailed) {
+      tags[currentKey] = currentValue;
+    }
+    resetTag();
+  };
+
+  while (pos < chars.length) {
+    const c = chars[pos];
+
+    if (skipping) {
+      if (c === ';') {
+        skipping = false;
+        state = ParseState.EXPECTING_KEY;
+      }
+      pos++;
+      continue;
+    }
+
+    switch (state) {
+      case ParseState.EXPECTING_KEY:
+        if (c === ';') {
+          // Empty segment, skip
+          pos++;
+          continue;
+        } else if (legacyIsValidKeyChar(c)) {
+          currentKey += c.toLowerCase();
+          keyStart = pos;
+          state = ParseState.IN_KEY;
+        } else {
+          recover(error(ErrorCodes.INVALID_CHARACTER, `invalid character '${c}' at position ${pos}`, pos), c);
+        }
+        break;
+
+      case ParseState.IN_KEY:
+        if (c === '=') {
+          state = ParseState.EXPECTING_VALUE;
+        } else if (c === ';') {
+          // Value-less tag: treat as wildcard
+          currentValue = '*';
+          finishTag();
+          state = ParseState.EXPECTING_KEY;
+        } else if (legacyIsValidKeyChar(c)) {
+          currentKey += c.toLowerCase();
+        } else {
+          recover(error(ErrorCodes.INVALID_CHARACTER, `invalid character '${c}' in key at position ${pos}`, pos), c);
+        }
+        break;
+
+      case ParseState.EXPECTING_VALUE:
+        if (c === '"') {
+          state = ParseState.IN_QUOTED_VALUE;
+        } else if (c === ';') {
+          recover(error(ErrorCodes.EMPTY_TAG, `empty value for key '${currentKey}'`, pos), c);
+        } else if (legacyIsValidUnquotedValueChar(c)) {
+          currentValue += c.toLowerCase();
+          state = ParseState.IN_UNQUOTED_VALUE;
+        } else {
+          recover(error(ErrorCodes.INVALID_CHARACTER, `invalid character '${c}' in value at position ${pos}`, pos), c);
+        }
+        break;
+
+      case ParseState.IN_UNQUOTED_VALUE:
+        if (c === ';') {
+          finishTag();
+          state = ParseState.EXPECTING_KEY;
+        } else if (legacyIsValidUnquotedValueChar(c)) {
+          currentValue += c.toLowerCase();
+        } else {
+          recover(error(ErrorCodes.INVALID_CHARACTER, `invalid character '${c}' in unquoted value at position ${pos}`, pos), c);
+        }
+        break;
+
+      case ParseState.IN_QUOTED_VALUE:
+        if (c === '"') {
+          state = ParseState.EXPECTING_SEMI_OR_END;
+        } else if (c === '\\') {
+          state = ParseState.IN_QUOTED_VALUE_ESCAPE;
+        } else {
+          // Any character allowed in quoted value, preserve case
+          currentValue += c;
+        }
+        break;
+
+      case ParseState.IN_QUOTED_VALUE_ESCAPE:
+        if (c === '"' || c === '\\') {
+          currentValue += c;
+        } else {
+          // Stay inside the quotes so a ';' in the value is not mistaken for a separator
+          report(error(ErrorCodes.INVALID_ESCAPE_SEQUENCE, `invalid escape sequence at position ${pos} (only \\" and \\\\ allowed)`, pos));
+          tagFailed = true;
+        }
+        state = ParseState.IN_QUOTED_VALUE;
+        break;
+
+      case ParseState.EXPECTING_SEMI_OR_END:
+        if (c === ';') {
+          finishTag();
+          state = ParseState.EXPECTING_KEY;
+        } else {
+          recover(error(ErrorCodes.INVALID_CHARACTER, `expected ';' or end after quoted value, got '${c}' at position ${pos}`, pos), c);
+        }
+        break;
+    }
+
+    pos++;
+  }
+
+  if (skipping) {
+    return prefixValid ? new TaggedUrn(prefix, tags, true) : null;
+  }
+
+  // Handle end of input
+  switch (state) {
+    case ParseState.IN_UNQUOTED_VALUE:
+    case ParseState.EXPECTING_SEMI_OR_END:
+      finishTag();
+      break;
+    case ParseState.EXPECTING_KEY:
+      // Valid - trailing semicolon or empty input after prefix
+      break;
+    case ParseState.IN_QUOTED_VALUE:
+    case ParseState.IN_QUOTED_VALUE_ESCAPE:
+      report(error(ErrorCodes.UNTERMINATED_QUOTE, `unterminated quote at position ${pos}`, pos));
+      break;
+    case ParseState.IN_KEY:
+      // Value-less tag at end: treat as wildcard
+      currentValue = '*';
+      finishTag();
+      break;
+    case ParseState.EXPECTING_VALUE:
+      report(error(ErrorCodes.EMPTY_TAG, `empty value for key '${currentKey}'`, pos));
+      break;
+  }
+
+  return prefixValid ? new TaggedUrn(prefix, tags, true) : null;
+}
+
+// ============================================================================
+// BENCHMARK
+// ============================================================================
+
+function repeatTags(count, render) {
+  const tags = [];
+  for (let i = 0; i < count; i++) {
+    tags.push(render(i));
+  }
+  return tags.join(';');
+}
+
+const CASES = [
+  ['short', 'cap:op=generate;ext=pdf'],
+  ['long', `cap:${repeatTags(40, i => `key${i}/part.${i}=value-${i}_x`)}`],
+  ['quoted', `cap:${repeatTags(12, i => `title${i}="Quarterly Report ${i}: Revenue & Costs (Draft)"`)}`],
+  ['escaped', `cap:${repeatTags(12, i => `path${i}="C:\\\\Users\\\\me\\\\\\"docs\\"\\\\${i}\\\\\\"a\\"\\\\\\"b\\""`)}`]
+];
+
+function measure(parse, input, budgetMs) {
+  // Warm up, then run batches until the time budget is spent
+  for (let i = 0; i < 1000; i++) {
+    parse(input, null);
+  }
+  let runs = 0;
+  const start = process.hrtime.bigint();
+  const budget = BigInt(budgetMs) * 1000000n;
+  let elapsed = 0n;
+  while (elapsed < budget) {
+    for (let i = 0; i < 500; i++) {
+      parse(input, null);
+    }
+    runs += 500;
+    elapsed = process.hrtime.bigint() - start;
+  }
+  return runs / (Number(elapsed) / 1e9);
+}
+
+function main() {
+  const budgetMs = Number(process.argv[2]) || 500;
+  const current = (s) => TaggedUrn.fromString(s);
+
+  console.log(`${'case'.padEnd(8)} ${'length'.padStart(6)} ${'legacy ops/s'.padStart(14)} ${'current ops/s'.padStart(14)} ${'speed-up'.padStart(9)}`);
+  for (const [name, input] of CASES) {
+    const expected = legacyParse(input, null).toString();
+    if (current(input).toString() !== expected) {
+      throw new Error(`parsers disagree on ${name} input`);
+    }
+    const legacy = measure(legacyParse, input, budgetMs);
+    const fast = measure(current, input, budgetMs);
+    console.log(
+      `${name.padEnd(8)} ${String(input.length).padStart(6)} ${Math.round(legacy).toLocaleString('en-US').padStart(14)} ` +
+      `${Math.round(fast).toLocaleString('en-US').padStart(14)} ${(fast / legacy).toFixed(1).padStart(8)}x`
+    );
+  }
+}
+
+main();
@@ -3,12 +3,54 @@
 
 /**
  * Error types for Tagged URN operations
+ *
+ * Parse errors carry structured diagnostics in addition to the message:
+ * - input: the string being parsed
+ * - position: absolute offset (in code points, including the prefix) of the failing character
+ * - character: the offending character, if any
+ * - key: the tag key being parsed, if any
+ * - state: the ParseState the machine was in
+ * - expected: descriptions of the tokens that would have been accepted
+ * AMBIGUOUS_MATCH errors carry the tied URNs in candidates.
+ * Fields that do not apply to an error are left undefined.
  */
 class TaggedUrnError extends Error {
-  constructor(code, message) {
+  /**
+   * @param {number} code - One of ErrorCodes
+   * @param {string} message - Human-readable description
+   * @param {Object} [details] - Structured diagnostics (input, position, character, key, state, expected, candidates)
+   */
+  constructor(code, message, details = {}) {
     super(message);
     this.name = 'TaggedUrnError';
     this.code = code;
+    this.input = details.input;
+    this.position = details.position;
+    this.character = details.character;
+    this.key = details.key;
+    this.state = details.state;
+    this.expected = details.expected;
+    this.candidates = details.candidates;
+  }
+
+  /**
+   * Render the input with a caret under the failing character
+   *
+   * Tabs before the failing character are preserved in the caret line so the
+   * caret stays aligned in terminals.
+   *
+   * @returns {string} Two-line snippet, or an empty string if the error has no position
+   */
+  formatSnippet() {
+    if (typeof this.input !== 'string' || typeof this.position !== 'number') {
+      return '';
+    }
+    const chars = [...this.input];
+    let pad = '';
+    for (let i = 0; i < this.position && i < chars.length; i++) {
+      pad += chars[i] === '\t' ? '\t' : ' ';
+    }
+    return `${this.input}\n${pad}^`;
   }
 }
 
@@ -25,7 +67,8 @@ const ErrorCodes = {
   INVALID_ESCAPE_SEQUENCE: 9,
   EMPTY_PREFIX: 10,
   PREFIX_MISMATCH: 11,
-  WHITESPACE_IN_INPUT: 12
+  WHITESPACE_IN_INPUT: 12,
+  AMBIGUOUS_MATCH: 13
 };
 
 // Parser states for state machine
@@ -39,26 +82,220 @@ const ParseState = {
   EXPECTING_SEMI_OR_END: 6
 };
 
+// Relation between the instance sets of two patterns (see TaggedUrn.relationTo)
+const PatternRelation = Object.freeze({
+  EQUAL: 'equal',
+  NARROWER: 'narrower',
+  WIDER: 'wider',
+  OVERLAPPING: 'overlapping',
+  DISJOINT: 'disjoint'
+});
+
+// Relation of a left URN to a right one in UrnMatcher.compatibilityReport
+const CompatibilityRelation = Object.freeze({
+  EQUIVALENT: 'equivalent',
+  REFINES: 'refines',
+  GENERALIZES: 'generalizes',
+  OVERLAPS: 'overlaps',
+  DISJOINT: 'disjoint'
+});
+
+// CompatibilityRelation for each PatternRelation of left to right
+const COMPATIBILITY_BY_PATTERN_RELATION = Object.freeze({
+  [PatternRelation.EQUAL]: CompatibilityRelation.EQUIVALENT,
+  [PatternRelation.NARROWER]: CompatibilityRelation.REFINES,
+  [PatternRelation.WIDER]: CompatibilityRelation.GENERALIZES,
+  [PatternRelation.OVERLAPPING]: CompatibilityRelation.OVERLAPS,
+  [PatternRelation.DISJOINT]: CompatibilityRelation.DISJOINT
+});
+
+// Tokens accepted in each parser state, reported in parse diagnostics
+const EXPECTED_TOKENS = Object.freeze({
+  [ParseState.EXPECTING_KEY]: ['key character', "';'"],
+  [ParseState.IN_KEY]: ['key character', "'='", "';'", 'end of input'],
+  [ParseState.EXPECTING_VALUE]: ['value character', "'\"'"],
+  [ParseState.IN_UNQUOTED_VALUE]: ['value character', "';'", 'end of input'],
+  [ParseState.IN_QUOTED_VALUE]: ['any character', "'\"'", "'\\'"],
+  [ParseState.IN_QUOTED_VALUE_ESCAPE]: ["'\"'", "'\\'"],
+  [ParseState.EXPECTING_SEMI_OR_END]: ["';'", 'end of input']
+});
+for (const tokens of Object.values(EXPECTED_TOKENS)) {
+  Object.freeze(tokens);
+}
+
+// Character classes for ASCII char codes; every other code belongs to neither
+const CHAR_KEY = 1;
+const CHAR_VALUE = 2;
+const CHAR_CLASS = new Uint8Array(128);
+for (const c of 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_-/:.') {
+  CHAR_CLASS[c.charCodeAt(0)] = CHAR_KEY | CHAR_VALUE;
+}
+for (const c of '*?!') {
+  CHAR_CLASS[c.charCodeAt(0)] = CHAR_VALUE;
+}
+
+const SEMICOLON = 0x3b;
+const EQUALS = 0x3d;
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+
 /**
  * Check if a character is valid for a key
  */
 function isValidKeyChar(c) {
-  return /[a-zA-Z0-9_\-\/:\.]/.test(c);
+  return c.length === 1 && (CHAR_CLASS[c.charCodeAt(0)] & CHAR_KEY) !== 0;
 }
 
 /**
  * Check if a character is valid for an unquoted value
  */
 function isValidUnquotedValueChar(c) {
-  return /[a-zA-Z0-9_\-\/:\.\*\?\!]/.test(c);
+  return c.length === 1 && (CHAR_CLASS[c.charCodeAt(0)] & CHAR_VALUE) !== 0;
+}
+
+/**
+ * Count the code points in str between two UTF-16 offsets
+ * @private
+ */
+function codePointLength(str, from, to) {
+  let length = to - from;
+  for (let i = from; i < to - 1; i++) {
+    const code = str.charCodeAt(i);
+    if (code >= 0xd800 && code <= 0xdbff) {
+      const next = str.charCodeAt(i + 1);
+      if (next >= 0xdc00 && next <= 0xdfff) {
+        length--;
+        i++;
+      }
+    }
+  }
+  return length;
+}
+
+/**
+ * The full code point (one or two UTF-16 units) starting at a UTF-16 offset
+ * @private
+ */
+function codePointAt(str, index) {
+  return String.fromCodePoint(str.codePointAt(index));
+}
+
+/**
+ * Check if a key consists only of ASCII digits
+ * @private
+ */
+function isNumericKey(key) {
+  for (let i = 0; i < key.length; i++) {
+    const code = key.charCodeAt(i);
+    if (code < 0x30 || code > 0x39) {
+      return false;
+    }
+  }
+  return key.length > 0;
+}
+
+/**
+ * Create tag storage, optionally copying entries from another tags object
+ *
+ * Tag storage has no prototype, so every grammatically valid key - including
+ * '__proto__', 'constructor' and 'hasownproperty' - is an ordinary own entry
+ * and lookups never fall through to Object.prototype.
+ *
+ * @param {Object} [source] - Tags to copy
+ * @returns {Object} A prototype-less tags object
+ * @private
+ */
+function createTags(source) {
+  const tags = Object.create(null);
+  if (source) {
+    for (const key of Object.keys(source)) {
+      tags[key] = source[key];
+    }
+  }
+  return tags;
+}
+
+/**
+ * Normalize a tag key and check it against the key grammar used by the parser
+ *
+ * @param {string} key - The tag key
+ * @returns {string} The lowercased key
+ * @throws {TaggedUrnError} EMPTY_TAG, INVALID_CHARACTER or NUMERIC_KEY
+ * @private
+ */
+function normalizeKey(key) {
+  if (typeof key !== 'string' || key === '') {
+    throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, 'empty key', { key: typeof key === 'string' ? key : undefined });
+  }
+  // Check the raw characters as the parser does: lowercasing maps some invalid
+  // characters (e.g. the Kelvin sign U+212A) onto valid ones
+  for (const c of key) {
+    if (!isValidKeyChar(c)) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_CHARACTER, `invalid character '${c}' in key '${key}'`, { key, character: c });
+    }
+  }
+  const normalized = key.toLowerCase();
+  if (isNumericKey(normalized)) {
+    throw new TaggedUrnError(ErrorCodes.NUMERIC_KEY, `Tag key cannot be purely numeric: ${normalized}`, { key: normalized });
+  }
+  return normalized;
+}
+
+/**
+ * Check a tag value is a present string (any non-empty string is representable)
+ *
+ * @param {string} key - The tag key, for the error message
+ * @param {string} value - The tag value
+ * @throws {TaggedUrnError} EMPTY_TAG or INVALID_FORMAT
+ * @private
+ */
+function checkValue(key, value) {
+  if (value === '' || value === undefined || value === null) {
+    throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, `empty value for key '${key}' (use '*' for wildcard)`, { key });
+  }
+  if (typeof value !== 'string') {
+    throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `value for key '${key}' must be a string`, { key });
+  }
+}
+
+/**
+ * Normalize a prefix and apply the parser's prefix checks (non-empty, no
+ * leading whitespace, no ':'), so the URN's string form always re-parses
+ *
+ * @param {string} prefix - The prefix
+ * @returns {string} The lowercased prefix
+ * @throws {TaggedUrnError} INVALID_FORMAT, EMPTY_PREFIX, WHITESPACE_IN_INPUT or INVALID_CHARACTER
+ * @private
+ */
+function normalizePrefix(prefix) {
+  if (typeof prefix !== 'string') {
+    throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'Tagged URN prefix must be a string');
+  }
+  if (prefix === '') {
+    throw new TaggedUrnError(ErrorCodes.EMPTY_PREFIX, 'Tagged URN prefix cannot be empty');
+  }
+  if (prefix !== prefix.trimStart()) {
+    throw new TaggedUrnError(ErrorCodes.WHITESPACE_IN_INPUT, `Tagged URN prefix has leading whitespace: '${prefix}'`, {
+      position: 0,
+      character: [...prefix][0]
+    });
+  }
+  if (prefix.includes(':')) {
+    throw new TaggedUrnError(ErrorCodes.INVALID_CHARACTER, `invalid character ':' in prefix '${prefix}'`, { character: ':' });
+  }
+  return prefix.toLowerCase();
 }
 
 /**
  * Check if a value needs quoting for serialization
+ *
+ * A value may be written unquoted only if every character is in the unquoted
+ * value grammar and parsing leaves it unchanged (unquoted values are
+ * lowercased, so uppercase letters must be quoted).
  */
 function needsQuoting(value) {
   for (const c of value) {
-    if (c === ';' || c === '=' || c === '"' || c === '\\' || c === ' ' || c.toUpperCase() !== c.toLowerCase() && c === c.toUpperCase()) {
+    if (!isValidUnquotedValueChar(c) || (c >= 'A' && c <= 'Z')) {
       return true;
     }
   }
@@ -80,6 +317,443 @@ function quoteValue(value) {
   return result;
 }
 
+// Characters toUriComponent leaves as-is: RFC 3986 unreserved characters plus
+// the delimiters that are literal in both path segments and query values ('/'
+// is not: it would split a path segment)
+const URI_SAFE_CHAR = /^[A-Za-z0-9\-._~:;=@!*,]$/;
+
+/**
+ * Percent-encode one character as UTF-8
+ * @private
+ */
+function percentEncode(c) {
+  const code = c.charCodeAt(0);
+  if (code < 0x80) {
+    return `%${code.toString(16).toUpperCase().padStart(2, '0')}`;
+  }
+  try {
+    return encodeURIComponent(c);
+  } catch (e) {
+    // Lone surrogates have no UTF-8 encoding
+    throw new TaggedUrnError(ErrorCodes.INVALID_CHARACTER, `cannot URI-encode lone surrogate U+${code.toString(16).toUpperCase()}`, { character: c });
+  }
+}
+
+// Default bound for toFilename, leaving room for an extension within the common 255-byte limit
+const DEFAULT_FILENAME_MAX_LENGTH = 200;
+
+// Suffix marking a shortened (one-way) file name: '_h' + 16 hex digits
+const FILENAME_HASH_SUFFIX = /_h[0-9a-f]{16}$/;
+
+// FNV-1a 64-bit parameters
+const FNV64_OFFSET_BASIS = 0xcbf29ce484222325n;
+const FNV64_PRIME = 0x100000001b3n;
+const UINT64_MASK = 0xffffffffffffffffn;
+
+/**
+ * Encode a string as UTF-8 bytes (lone surrogates become U+FFFD)
+ * @private
+ */
+function utf8Bytes(str) {
+  return new TextEncoder().encode(str);
+}
+
+/**
+ * Encode a string as generalized UTF-8 (WTF-8): identical to UTF-8 for
+ * well-formed strings, with each lone surrogate written as its own
+ * three-byte sequence instead of U+FFFD, so distinct strings never share bytes
+ * @private
+ */
+function wtf8Bytes(str) {
+  const bytes = [];
+  for (let i = 0; i < str.length; i++) {
+    let code = str.charCodeAt(i);
+    if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length) {
+      const low = str.charCodeAt(i + 1);
+      if (low >= 0xdc00 && low <= 0xdfff) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (low - 0xdc00);
+        i++;
+      }
+    }
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+// A UTF-16 surrogate without its other half
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+/**
+ * Encode a string as UTF-8 bytes, rejecting lone surrogates so the bytes
+ * decode back to the same string
+ * @private
+ */
+function exactUtf8Bytes(str) {
+  const match = LONE_SURROGATE.exec(str);
+  if (match) {
+    const code = match[0].charCodeAt(0);
+    throw new TaggedUrnError(ErrorCodes.INVALID_CHARACTER, `cannot encode lone surrogate U+${code.toString(16).toUpperCase()}`, { character: match[0] });
+  }
+  return utf8Bytes(str);
+}
+
+/**
+ * FNV-1a 64-bit hash of a byte sequence
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {string} 16 lowercase hex digits
+ * @private
+ */
+function fnv1a64(bytes) {
+  let hash = FNV64_OFFSET_BASIS;
+  for (const byte of bytes) {
+    hash ^= BigInt(byte);
+    hash = (hash * FNV64_PRIME) & UINT64_MASK;
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// SHA-256 round constants (FIPS 180-4)
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * SHA-256 digest of a byte sequence (pure JS so it also runs synchronously in browsers)
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {string} 64 lowercase hex digits
+ * @private
+ */
+function sha256(bytes) {
+  // Pad: 0x80, zeros, then the bit length as a 64-bit big-endian integer
+  const blocks = Math.ceil((bytes.length + 9) / 64);
+  const padded = new Uint8Array(blocks * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+
+  const h = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+      const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+    h[0] += a;
+    h[1] += b;
+    h[2] += c;
+    h[3] += d;
+    h[4] += e;
+    h[5] += f;
+    h[6] += g;
+    h[7] += hh;
+  }
+
+  return Array.from(h, (word) => word.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Escape one character for a file name as '_' plus two hex digits per UTF-8 byte
+ * @private
+ */
+function filenameEscape(c) {
+  return percentEncode(c).toLowerCase().replace(/%/g, '_');
+}
+
+// Binary encoding: one header byte (version in the high nibble, kind in the
+// low nibble), then varint-prefixed fields (see encodeBinary)
+const BINARY_FORMAT_VERSION = 1;
+const BINARY_KIND_SINGLE = 0;
+const BINARY_KIND_BATCH = 1;
+
+// Value codes below BINARY_LITERAL_BASE stand for the special values
+const BINARY_SPECIAL_VALUES = ['*', '?', '!'];
+const BINARY_LITERAL_BASE = BINARY_SPECIAL_VALUES.length;
+
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Append an unsigned LEB128 varint to a byte array
+ * @private
+ */
+function writeVarint(out, value) {
+  while (value >= 0x80) {
+    out.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  out.push(value);
+}
+
+/**
+ * Append a varint length followed by the UTF-8 bytes of a string
+ * @private
+ */
+function writeString(out, str) {
+  const bytes = exactUtf8Bytes(str);
+  writeVarint(out, bytes.length);
+  for (const byte of bytes) {
+    out.push(byte);
+  }
+}
+
+/**
+ * Sequential reader over encoded bytes; every read fails with INVALID_FORMAT on corrupt input
+ * @private
+ */
+class BinaryReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+    this.decoder = new TextDecoder('utf-8', { fatal: true });
+  }
+
+  fail(message) {
+    return new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `invalid binary URN: ${message} at byte ${this.pos}`, { position: this.pos });
+  }
+
+  byte() {
+    if (this.pos >= this.bytes.length) {
+      throw this.fail('unexpected end of data');
+    }
+    return this.bytes[this.pos++];
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    for (let i = 0; i < 5; i++) {
+      const byte = this.byte();
+      value += (byte & 0x7f) * scale;
+      if ((byte & 0x80) === 0) {
+        if (value > 0xffffffff) {
+          break;
+        }
+        return value;
+      }
+      scale *= 0x80;
+    }
+    throw this.fail('varint out of range');
+  }
+
+  string() {
+    return this.text(this.varint());
+  }
+
+  text(length) {
+    if (length > this.bytes.length - this.pos) {
+      throw this.fail('string runs past end of data');
+    }
+    const slice = this.bytes.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    try {
+      return this.decoder.decode(slice);
+    } catch (e) {
+      throw this.fail('invalid UTF-8');
+    }
+  }
+
+  header(kind) {
+    const header = this.byte();
+    const version = header >> 4;
+    if (version !== BINARY_FORMAT_VERSION) {
+      throw this.fail(`unsupported format version ${version}`);
+    }
+    if ((header & 0x0f) !== kind) {
+      throw this.fail(kind === BINARY_KIND_SINGLE ? 'expected a single URN' : 'expected a URN batch');
+    }
+  }
+
+  end() {
+    if (this.pos !== this.bytes.length) {
+      throw this.fail('trailing data');
+    }
+  }
+}
+
+/**
+ * View binary input as a Uint8Array
+ * @private
+ */
+function asBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'binary URN must be a Uint8Array, ArrayBuffer or typed array view');
+}
+
+/**
+ * Build a validated TaggedUrn from decoded fields
+ *
+ * Goes through the constructor's prefix, key and value checks, so corrupt
+ * input can only yield a URN that fromString would also produce.
+ *
+ * @param {string} prefix - Decoded prefix
+ * @param {Array<Array<string>>} entries - Decoded [key, value] pairs
+ * @returns {TaggedUrn}
+ * @private
+ */
+function urnFromDecoded(prefix, entries) {
+  const tags = createTags();
+  for (const [key, value] of entries) {
+    if (key in tags) {
+      throw new TaggedUrnError(ErrorCodes.DUPLICATE_KEY, `Duplicate tag key: ${key}`, { key });
+    }
+    tags[key] = value;
+  }
+  return new TaggedUrn(prefix, tags);
+}
+
+/**
+ * Encode bytes as unpadded base64url
+ * @private
+ */
+function base64UrlEncode(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const chars = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+    for (let j = 0; j < chars; j++) {
+      result += BASE64URL_ALPHABET[(chunk >> (18 - 6 * j)) & 0x3f];
+    }
+  }
+  return result;
+}
+
+/**
+ * Decode unpadded, canonical base64url into bytes
+ * @private
+ */
+function base64UrlDecode(token) {
+  if (typeof token !== 'string' || token.length % 4 === 1) {
+    throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'invalid URN token length');
+  }
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (let i = 0; i < token.length; i++) {
+    const index = BASE64URL_ALPHABET.indexOf(token[i]);
+    if (index === -1) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `invalid URN token character '${token[i]}' at position ${i}`, { input: token, position: i, character: token[i] });
+    }
+    buffer = ((buffer << 6) | index) & 0xffffff;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  // Leftover bits must be zero, or several tokens would decode to the same bytes
+  if ((buffer & ((1 << bits) - 1)) !== 0) {
+    throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'invalid URN token: non-zero padding bits', { input: token });
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Error for matching URNs with different prefixes
+ * @private
+ */
+function prefixMismatch(instancePrefix, patternPrefix) {
+  return new TaggedUrnError(
+    ErrorCodes.PREFIX_MISMATCH,
+    `Cannot compare URNs with different prefixes: '${instancePrefix}' vs '${patternPrefix}'`
+  );
+}
+
+/**
+ * Keys an instance may carry beyond the pattern's in closed-world matching,
+ * or null for the default open-world matching
+ *
+ * @param {Object} [options] - { closed, ignoreKeys }
+ * @returns {Set<string>|null} Lowercased ignorable keys when options.closed is set
+ * @throws {TaggedUrnError} If ignoreKeys is not an array of strings
+ * @private
+ */
+function resolveClosedWorld(options) {
+  if (!options || !options.closed) {
+    return null;
+  }
+  const ignoreKeys = options.ignoreKeys === undefined ? [] : options.ignoreKeys;
+  if (!Array.isArray(ignoreKeys) || ignoreKeys.some(key => typeof key !== 'string')) {
+    throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'ignoreKeys must be an array of key strings');
+  }
+  return new Set(ignoreKeys.map(key => key.toLowerCase()));
+}
+
+/**
+ * Check whether an instance carries a key the pattern does not mention
+ *
+ * An instance '!' states the key is absent, so it never counts as carried.
+ *
+ * @param {TagView} instanceTags - Instance tags
+ * @param {TagView} patternTags - Pattern tags
+ * @param {Set<string>} ignorable - Keys allowed without a mention
+ * @returns {boolean}
+ * @private
+ */
+function hasUnmentionedKey(instanceTags, patternTags, ignorable) {
+  for (const key of tagKeys(instanceTags)) {
+    if (isUnmentionedKey(key, instanceTags._store[key], patternTags._store[key], ignorable)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether one key is carried by the instance but not mentioned by the pattern
+ * @private
+ */
+function isUnmentionedKey(key, inst, patt, ignorable) {
+  return inst !== undefined && inst !== '!' && patt === undefined && !ignorable.has(key);
+}
+
 /**
  * Check if instance value matches pattern constraint
  *
@@ -110,860 +784,3188 @@ function quoteValue(value) {
  * | K=v      | K=w     | NO     | Value mismatch (v≠w) |
  */
 function valuesMatch(inst, patt) {
+  return matchRow(inst, patt).matches;
+}
+
+/**
+ * Truth-table rows, shared by matching and match explanations
+ * @private
+ */
+const MATCH_ROWS = Object.freeze({
+  NO_CONSTRAINT: { matches: true, reason: 'pattern has no constraint' },
+  PATTERN_UNSPECIFIED: { matches: true, reason: "pattern doesn't care (?)" },
+  INSTANCE_UNSPECIFIED: { matches: true, reason: "instance doesn't care (?)" },
+  ABSENT_AS_WANTED: { matches: true, reason: 'pattern wants absent, instance lacks the key' },
+  BOTH_ABSENT: { matches: true, reason: 'both want absent' },
+  PRESENT_BUT_ABSENT_WANTED: { matches: false, reason: 'pattern wants absent, instance has value' },
+  ABSENT_BUT_PRESENT_WANTED: { matches: false, reason: 'instance wants absent, pattern wants a value' },
+  MISSING_BUT_PRESENT_WANTED: { matches: false, reason: 'pattern wants any value, instance lacks the key' },
+  PRESENT_AS_WANTED: { matches: true, reason: 'pattern wants any value, instance has one' },
+  MISSING_BUT_VALUE_WANTED: { matches: false, reason: 'pattern wants an exact value, instance lacks the key' },
+  INSTANCE_ANY: { matches: true, reason: "instance accepts any value (*), pattern's value is fine" },
+  EXACT_MATCH: { matches: true, reason: 'values are equal' },
+  VALUE_MISMATCH: { matches: false, reason: 'values differ' },
+  // Closed-world matching only
+  UNMENTIONED_KEY: { matches: false, reason: 'closed-world: instance has a key the pattern does not mention' }
+});
+for (const [rule, row] of Object.entries(MATCH_ROWS)) {
+  row.rule = rule;
+  Object.freeze(row);
+}
+
+/**
+ * Find the truth-table row for an instance value and a pattern value
+ * (see valuesMatch for the full table)
+ *
+ * @param {string|undefined} inst - Instance value, undefined if absent
+ * @param {string|undefined} patt - Pattern value, undefined if absent
+ * @returns {{rule: string, matches: boolean, reason: string}} The row
+ * @private
+ */
+function matchRow(inst, patt) {
   // Pattern has no constraint (no entry or explicit ?)
-  if (patt === undefined || patt === '?') {
-    return true;
+  if (patt === undefined) {
+    return MATCH_ROWS.NO_CONSTRAINT;
+  }
+  if (patt === '?') {
+    return MATCH_ROWS.PATTERN_UNSPECIFIED;
   }
 
   // Instance doesn't care (explicit ?)
   if (inst === '?') {
-    return true;
+    return MATCH_ROWS.INSTANCE_UNSPECIFIED;
   }
 
   // Pattern: must-not-have (!)
   if (patt === '!') {
     if (inst === undefined) {
-      return true; // Instance absent, pattern wants absent
+      return MATCH_ROWS.ABSENT_AS_WANTED;
     }
     if (inst === '!') {
-      return true; // Both say absent
+      return MATCH_ROWS.BOTH_ABSENT;
     }
-    return false; // Instance has value, pattern wants absent
+    return MATCH_ROWS.PRESENT_BUT_ABSENT_WANTED;
   }
 
   // Instance: must-not-have conflicts with pattern wanting value
   if (inst === '!') {
-    return false; // Conflict: absent vs value or present
+    return MATCH_ROWS.ABSENT_BUT_PRESENT_WANTED;
   }
 
   // Pattern: must-have-any (*)
   if (patt === '*') {
-    if (inst === undefined) {
-      return false; // Instance missing, pattern wants present
-    }
-    return true; // Instance has value, pattern wants any
+    return inst === undefined ? MATCH_ROWS.MISSING_BUT_PRESENT_WANTED : MATCH_ROWS.PRESENT_AS_WANTED;
   }
 
   // Pattern: exact value
   if (inst === undefined) {
-    return false; // Instance missing, pattern wants value
+    return MATCH_ROWS.MISSING_BUT_VALUE_WANTED;
   }
   if (inst === '*') {
-    return true; // Instance accepts any, pattern's value is fine
+    return MATCH_ROWS.INSTANCE_ANY;
   }
-  return inst === patt; // Both have values, must match exactly
+  return inst === patt ? MATCH_ROWS.EXACT_MATCH : MATCH_ROWS.VALUE_MISMATCH;
 }
 
 /**
- * Tagged URN implementation with flat, ordered tags and configurable prefix
+ * Meet of two pattern values for one key: the constraint satisfied exactly
+ * when both are (undefined means no constraint; '?' is no constraint too)
+ *
+ * @param {string|undefined} a - First pattern value
+ * @param {string|undefined} b - Second pattern value
+ * @returns {string|undefined|null} The combined value, undefined for no constraint, or null if they conflict
+ * @private
  */
-class TaggedUrn {
-  /**
-   * Create a new TaggedUrn
-   * @param {string} prefix - The prefix for this URN
-   * @param {Object} tags - Initial tags (will not be re-normalized in constructor)
-   * @param {boolean} skipNormalization - If true, skip key normalization (internal use)
-   */
-  constructor(prefix, tags = {}, skipNormalization = false) {
-    this.prefix = prefix.toLowerCase();
-    this.tags = {};
-    if (skipNormalization) {
-      this.tags = { ...tags };
-    } else {
-      for (const [key, value] of Object.entries(tags)) {
-        this.tags[key.toLowerCase()] = value;
-      }
-    }
+function meetValues(a, b) {
+  if (a === undefined || a === '?') {
+    return b === '?' ? undefined : b;
+  }
+  if (b === undefined || b === '?') {
+    return a;
+  }
+  if (a === b) {
+    return a;
+  }
+  // '*' narrows to any exact value, but never to '!'
+  if (a === '*' && b !== '!') {
+    return b;
   }
+  if (b === '*' && a !== '!') {
+    return a;
+  }
+  return null;
+}
 
-  /**
-   * Create a Tagged URN from string representation
-   * Format: prefix:key1=value1;key2=value2;... or prefix:key1="value with spaces";key2=simple
-   *
-   * Case handling:
-   * - Prefix: Normalized to lowercase
+/**
+ * Check whether every value a pattern value allows is allowed by another
+ * (undefined and '?' allow everything, '!' only absence, '*' any present value)
+ *
+ * @param {string|undefined} wide - The candidate wider pattern value
+ * @param {string|undefined} narrow - The candidate narrower pattern value
+ * @returns {boolean}
+ * @private
+ */
+function valueSubsumes(wide, narrow) {
+  return meetValues(wide, narrow) === (narrow === '?' ? undefined : narrow);
+}
+
+/**
+ * Explain, key by key, whether an instance matches a pattern
+ *
+ * Uses the same rows as _checkMatch, so the verdict always equals
+ * conformsTo() with the same options.
+ *
+ * @param {TaggedUrn} instance - The instance URN
+ * @param {TaggedUrn} pattern - The pattern URN
+ * @param {Object} [options] - Closed-world options ({ closed, ignoreKeys })
+ * @returns {Object} { matches, prefix, keys: [{ key, instance, pattern, matches, rule, reason }] }
+ * @throws {TaggedUrnError} If prefixes don't match
+ * @private
+ */
+function explainCheck(instance, pattern, options) {
+  if (instance.prefix !== pattern.prefix) {
+    throw prefixMismatch(instance.prefix, pattern.prefix);
+  }
+  const ignorable = resolveClosedWorld(options);
+  const keys = [...new Set([...tagKeys(instance.tags), ...tagKeys(pattern.tags)])].sort();
+  const rows = keys.map(key => {
+    const inst = instance.tags._store[key];
+    const patt = pattern.tags._store[key];
+    const row = ignorable && isUnmentionedKey(key, inst, patt, ignorable)
+      ? MATCH_ROWS.UNMENTIONED_KEY
+      : matchRow(inst, patt);
+    return { key, instance: inst, pattern: patt, matches: row.matches, rule: row.rule, reason: row.reason };
+  });
+  return { matches: rows.every(row => row.matches), prefix: instance.prefix, keys: rows };
+}
+
+/**
+ * Run the tagged URN state machine over a string
+ *
+ * With diagnostics === null the first error is thrown (fromString behaviour).
+ * With a diagnostics array every error is collected instead and parsing
+ * recovers: the failing tag is dropped and scanning resumes after the next
+ * ';' (or after the closing quote for errors inside quoted values).
+ *
+ * @param {string} s - The Tagged URN string
+ * @param {TaggedUrnError[]|null} diagnostics - Collector, or null to throw
+ * @returns {TaggedUrn|null} The (possibly partial) URN, or null if no valid prefix could be read
+ * @private
+ */
+function parseTaggedUrn(s, diagnostics) {
+  const report = (err) => {
+    if (!diagnostics) {
+      throw err;
+    }
+    diagnostics.push(err);
+  };
+
+  if (!s || typeof s !== 'string') {
+    report(new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'Tagged URN cannot be empty', {
+      input: typeof s === 'string' ? s : undefined,
+      position: typeof s === 'string' ? 0 : undefined
+    }));
+    return null;
+  }
+
+  // Fail hard on leading/trailing whitespace (recovery parses the trimmed string)
+  let text = s;
+  let lead = 0;
+  if (s !== s.trim()) {
+    const position = s !== s.trimStart() ? 0 : [...s.trimEnd()].length;
+    report(new TaggedUrnError(ErrorCodes.WHITESPACE_IN_INPUT, `Tagged URN has leading or trailing whitespace: '${s}'`, {
+      input: s,
+      position,
+      character: [...s][position]
+    }));
+    text = s.trim();
+    lead = [...s].length - [...s.trimStart()].length;
+  }
+
+  // Find the prefix (everything before the first colon)
+  const colonPos = text.indexOf(':');
+  if (colonPos === -1) {
+    report(new TaggedUrnError(ErrorCodes.MISSING_PREFIX, "Tagged URN must have a prefix followed by ':'", {
+      input: s,
+      position: lead + codePointLength(text, 0, text.length),
+      expected: ["':'"]
+    }));
+    return null;
+  }
+
+  if (colonPos === 0) {
+    report(new TaggedUrnError(ErrorCodes.EMPTY_PREFIX, 'Tagged URN prefix cannot be empty', {
+      input: s,
+      position: lead,
+      character: ':'
+    }));
+    return null;
+  }
+
+  const prefix = text.slice(0, colonPos).toLowerCase();
+  const tags = createTags();
+  const start = colonPos + 1;
+  const end = text.length;
+
+  // Handle empty tagged URN (prefix: with no tags or just semicolon)
+  if (start === end || (start === end - 1 && text.charCodeAt(start) === SEMICOLON)) {
+    return new TaggedUrn(prefix, tags, true);
+  }
+
+  // Tokens are scanned by char code and sliced out of text in one piece. All
+  // indices below are UTF-16 offsets; diagnostics convert them to code-point
+  // positions only when an error is actually reported.
+  let state = ParseState.EXPECTING_KEY;
+  let currentKey = '';
+  let keyStart = start;
+  let tagFailed = false;
+  let size = 0;
+
+  const error = (code, message, at, details = {}) => new TaggedUrnError(code, message, {
+    input: s,
+    position: lead + codePointLength(text, 0, at),
+    character: at < end ? codePointAt(text, at) : undefined,
+    key: currentKey === '' ? undefined : currentKey,
+    state,
+    expected: EXPECTED_TOKENS[state],
+    ...details
+  });
+  // Position relative to the tags part, as used in error messages
+  const rel = (at) => codePointLength(text, start, at);
+
+  // Report an error and drop the current tag; returns where scanning resumes
+  // (right after an offending ';', otherwise after the next ';')
+  const recover = (err, at) => {
+    report(err);
+    currentKey = '';
+    tagFailed = false;
+    state = ParseState.EXPECTING_KEY;
+    if (at < end && text.charCodeAt(at) === SEMICOLON) {
+      return at + 1;
+    }
+    const next = text.indexOf(';', at + 1);
+    return next === -1 ? end : next + 1;
+  };
+
+  // at is the index of the ';' or end of input that completes the tag
+  const finishTag = (value, at) => {
+    if (tagFailed) {
+      // Already reported (e.g. an invalid escape); the tag is dropped without further checks
+    } else if (value === '') {
+      report(error(ErrorCodes.EMPTY_TAG, `empty value for key '${currentKey}'`, at));
+    } else if (currentKey in tags) {
+      // Check for duplicate keys
+      report(error(ErrorCodes.DUPLICATE_KEY, `Duplicate tag key: ${currentKey}`, keyStart, { character: undefined, expected: undefined }));
+    } else if (isNumericKey(currentKey)) {
+      // Validate key cannot be purely numeric
+      report(error(ErrorCodes.NUMERIC_KEY, `Tag key cannot be purely numeric: ${currentKey}`, keyStart, { character: undefined, expected: undefined }));
+    } else {
+      tags[currentKey] = value;
+      size++;
+    }
+    currentKey = '';
+    tagFailed = false;
+    state = ParseState.EXPECTING_KEY;
+  };
+
+  let pos = start;
+  while (pos < end) {
+    // EXPECTING_KEY
+    let code = text.charCodeAt(pos);
+    if (code === SEMICOLON) {
+      // Empty segment, skip
+      pos++;
+      continue;
+    }
+    if (!(CHAR_CLASS[code] & CHAR_KEY)) {
+      pos = recover(error(ErrorCodes.INVALID_CHARACTER, `invalid character '${codePointAt(text, pos)}' at position ${rel(pos)}`, pos), pos);
+      continue;
+    }
+
+    // IN_KEY
+    keyStart = pos;
+    state = ParseState.IN_KEY;
+    do {
+      pos++;
+    } while (pos < end && (CHAR_CLASS[text.charCodeAt(pos)] & CHAR_KEY));
+    currentKey = text.slice(keyStart, pos).toLowerCase();
+    if (pos === end) {
+      // Value-less tag at end: treat as wildcard
+      finishTag('*', pos);
+      break;
+    }
+    code = text.charCodeAt(pos);
+    if (code === SEMICOLON) {
+      // Value-less tag: treat as wildcard
+      finishTag('*', pos);
+      pos++;
+      continue;
+    }
+    if (code !== EQUALS) {
+      pos = recover(error(ErrorCodes.INVALID_CHARACTER, `invalid character '${codePointAt(text, pos)}' in key at position ${rel(pos)}`, pos), pos);
+      continue;
+    }
+
+    // EXPECTING_VALUE
+    pos++;
+    state = ParseState.EXPECTING_VALUE;
+    if (pos === end) {
+      report(error(ErrorCodes.EMPTY_TAG, `empty value for key '${currentKey}'`, pos));
+      break;
+    }
+    code = text.charCodeAt(pos);
+
+    if (code === QUOTE) {
+      // IN_QUOTED_VALUE: any character allowed, case preserved; jump between quotes
+      // and backslashes, copying the runs in between
+      state = ParseState.IN_QUOTED_VALUE;
+      let value = '';
+      let runStart = ++pos;
+      let closed = false;
+      let quote = text.indexOf('"', pos);
+      let backslash = text.indexOf('\\', pos);
+      while (quote !== -1 || backslash !== -1) {
+        if (backslash === -1 || (quote !== -1 && quote < backslash)) {
+          value += text.slice(runStart, quote);
+          closed = true;
+          pos = quote + 1;
+          break;
+        }
+        value += text.slice(runStart, backslash);
+        state = ParseState.IN_QUOTED_VALUE_ESCAPE;
+        pos = backslash + 1;
+        if (pos === end) {
+          break;
+        }
+        code = text.charCodeAt(pos);
+        if (code === QUOTE || code === BACKSLASH) {
+          // The escaped character starts the next run
+          runStart = pos;
+          pos++;
+        } else {
+          // Stay inside the quotes so a ';' in the value is not mistaken for a separator
+          report(error(ErrorCodes.INVALID_ESCAPE_SEQUENCE, `invalid escape sequence at position ${rel(pos)} (only \\" and \\\\ allowed)`, pos));
+          tagFailed = true;
+          pos += codePointAt(text, pos).length;
+          runStart = pos;
+        }
+        state = ParseState.IN_QUOTED_VALUE;
+        if (quote !== -1 && quote < pos) {
+          quote = text.indexOf('"', pos);
+        }
+        backslash = text.indexOf('\\', pos);
+      }
+      if (!closed) {
+        report(error(ErrorCodes.UNTERMINATED_QUOTE, `unterminated quote at position ${rel(end)}`, end));
+        break;
+      }
+
+      // EXPECTING_SEMI_OR_END
+      state = ParseState.EXPECTING_SEMI_OR_END;
+      if (pos === end) {
+        finishTag(value, pos);
+        break;
+      }
+      if (text.charCodeAt(pos) === SEMICOLON) {
+        finishTag(value, pos);
+        pos++;
+        continue;
+      }
+      pos = recover(error(ErrorCodes.INVALID_CHARACTER, `expected ';' or end after quoted value, got '${codePointAt(text, pos)}' at position ${rel(pos)}`, pos), pos);
+      continue;
+    }
+
+    if (code === SEMICOLON) {
+      pos = recover(error(ErrorCodes.EMPTY_TAG, `empty value for key '${currentKey}'`, pos), pos);
+      continue;
+    }
+    if (!(CHAR_CLASS[code] & CHAR_VALUE)) {
+      pos = recover(error(ErrorCodes.INVALID_CHARACTER, `invalid character '${codePointAt(text, pos)}' in value at position ${rel(pos)}`, pos), pos);
+      continue;
+    }
+
+    // IN_UNQUOTED_VALUE
+    state = ParseState.IN_UNQUOTED_VALUE;
+    const valueStart = pos;
+    do {
+      pos++;
+    } while (pos < end && (CHAR_CLASS[text.charCodeAt(pos)] & CHAR_VALUE));
+    const value = text.slice(valueStart, pos).toLowerCase();
+    if (pos === end) {
+      finishTag(value, pos);
+      break;
+    }
+    if (text.charCodeAt(pos) === SEMICOLON) {
+      finishTag(value, pos);
+      pos++;
+      continue;
+    }
+    pos = recover(error(ErrorCodes.INVALID_CHARACTER, `invalid character '${codePointAt(text, pos)}' in unquoted value at position ${rel(pos)}`, pos), pos);
+  }
+
+  // The parser owns tags, so the view can take it over without a copy
+  return new TaggedUrn(prefix, new TagView(Object.freeze(tags), size, 0));
+}
+
+/**
+ * Replace the values at a path below node with TaggedUrns (see TaggedUrn.reviver)
+ *
+ * @param {*} node - Parsed JSON value
+ * @param {string[]} segments - Path segments; '*' matches any key
+ * @param {number} index - Current segment
+ * @returns {*} The node, with matching descendants rehydrated
+ * @private
+ */
+function reviveAt(node, segments, index) {
+  if (index === segments.length) {
+    return node === null ? node : TaggedUrn.fromJSON(node);
+  }
+  if (node === null || typeof node !== 'object') {
+    return node;
+  }
+  const segment = segments[index];
+  const keys = segment === '*'
+    ? Object.keys(node)
+    : (Object.prototype.hasOwnProperty.call(node, segment) ? [segment] : []);
+  for (const key of keys) {
+    node[key] = reviveAt(node[key], segments, index + 1);
+  }
+  return node;
+}
+
+/**
+ * Parse one line of a newline-delimited URN list
+ *
+ * Blank lines, '#' comment lines and (with options.dedupe) repeated URNs
+ * produce no record. A trailing '\r' is stripped so CRLF files parse the same.
+ *
+ * @param {string} line - The raw line
+ * @param {number} lineNumber - 1-based line number
+ * @param {Object} options - parseMany options
+ * @param {Set<string>} seen - Canonical forms already emitted (for dedupe)
+ * @returns {Object|null} { line, urn[, canonical] } or { line, error }, or null if the line is skipped
+ * @private
+ */
+function parseListLine(line, lineNumber, options, seen) {
+  if (line.endsWith('\r')) {
+    line = line.slice(0, -1);
+  }
+  const trimmed = line.trim();
+  if (trimmed === '' || trimmed.startsWith('#')) {
+    return null;
+  }
+
+  let urn;
+  try {
+    urn = TaggedUrn.fromString(line);
+  } catch (error) {
+    if (!(error instanceof TaggedUrnError)) {
+      throw error;
+    }
+    return { line: lineNumber, error };
+  }
+
+  if (!options.canonicalize && !options.dedupe) {
+    return { line: lineNumber, urn };
+  }
+  const canonical = urn.toString();
+  if (options.dedupe) {
+    if (seen.has(canonical)) {
+      return null;
+    }
+    seen.add(canonical);
+  }
+  return options.canonicalize ? { line: lineNumber, urn, canonical } : { line: lineNumber, urn };
+}
+
+// Derived tag stores deeper than this are flattened into a fresh store
+const MAX_TAG_CHAIN_DEPTH = 8;
+
+// Sorted live keys per TagView, computed on first use
+const tagKeysCache = new WeakMap();
+
+/**
+ * Get the live keys of a tag view in canonical (sorted) order
+ * @private
+ */
+function tagKeys(view) {
+  let keys = tagKeysCache.get(view);
+  if (!keys) {
+    keys = [];
+    // for-in walks the whole store chain; shadowed keys are visited once
+    for (const key in view._store) {
+      if (view._store[key] !== undefined) {
+        keys.push(key);
+      }
+    }
+    keys.sort();
+    Object.freeze(keys);
+    tagKeysCache.set(view, keys);
+  }
+  return keys;
+}
+
+/**
+ * Read-only, Map-like view of a URN's tags
+ *
+ * Entries live in a frozen, prototype-less store. A derived URN's store
+ * inherits from its parent's and holds only the changed keys (a removed key is
+ * shadowed by an undefined entry), so withTag and merge do not copy every tag.
+ * Keys are iterated in canonical (sorted) order.
+ */
+class TagView {
+  /**
+   * @param {Object} store - Frozen tag store
+   * @param {number} size - Number of live entries
+   * @param {number} depth - Number of stores above this one in the chain
+   * @private
+   */
+  constructor(store, size, depth) {
+    this._store = store;
+    this._size = size;
+    this._depth = depth;
+    Object.freeze(this);
+  }
+
+  /**
+   * Create a view over a copy of a plain tags object
+   * @private
+   */
+  static _fromObject(tags) {
+    const store = createTags(tags);
+    return new TagView(Object.freeze(store), Object.keys(store).length, 0);
+  }
+
+  /**
+   * Number of tags
+   * @returns {number}
+   */
+  get size() {
+    return this._size;
+  }
+
+  /**
+   * Get the value of a tag (key is normalized to lowercase)
+   * @param {string} key - The tag key
+   * @returns {string|undefined} The value, or undefined if absent
+   */
+  get(key) {
+    return this._store[key.toLowerCase()];
+  }
+
+  /**
+   * Check whether a tag is present (key is normalized to lowercase)
+   * @param {string} key - The tag key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this._store[key.toLowerCase()] !== undefined;
+  }
+
+  /**
+   * @returns {Iterator<string>} Keys in canonical order
+   */
+  keys() {
+    return tagKeys(this)[Symbol.iterator]();
+  }
+
+  /**
+   * @returns {Iterator<string>} Values in canonical key order
+   */
+  *values() {
+    for (const key of tagKeys(this)) {
+      yield this._store[key];
+    }
+  }
+
+  /**
+   * @returns {Iterator<Array>} [key, value] pairs in canonical key order
+   */
+  *entries() {
+    for (const key of tagKeys(this)) {
+      yield [key, this._store[key]];
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Call a function for each tag, in canonical key order
+   * @param {Function} callback - Called with (value, key, view)
+   * @param {*} [thisArg] - Value of this inside callback
+   */
+  forEach(callback, thisArg) {
+    for (const key of tagKeys(this)) {
+      callback.call(thisArg, this._store[key], key, this);
+    }
+  }
+
+  /**
+   * Copy the tags into a new plain object
+   * @returns {Object} A mutable copy; changing it does not affect the URN
+   */
+  toObject() {
+    return Object.fromEntries(this.entries());
+  }
+
+  /**
+   * Derive a view with the given changes applied; undefined values remove keys.
+   * Keys must already be normalized.
+   * @param {Array<Array>} changes - [key, value] pairs
+   * @returns {TagView}
+   * @private
+   */
+  _derive(changes) {
+    if (this._depth >= MAX_TAG_CHAIN_DEPTH) {
+      const flat = createTags();
+      for (const key of tagKeys(this)) {
+        flat[key] = this._store[key];
+      }
+      for (const [key, value] of changes) {
+        if (value === undefined) {
+          delete flat[key];
+        } else {
+          flat[key] = value;
+        }
+      }
+      return new TagView(Object.freeze(flat), Object.keys(flat).length, 0);
+    }
+
+    const store = Object.create(this._store);
+    let size = this._size;
+    for (const [key, value] of changes) {
+      const present = store[key] !== undefined;
+      // defineProperty, since assignment cannot shadow a frozen inherited entry
+      Object.defineProperty(store, key, { value, enumerable: true });
+      size += (value !== undefined ? 1 : 0) - (present ? 1 : 0);
+    }
+    return new TagView(Object.freeze(store), size, this._depth + 1);
+  }
+}
+
+/**
+ * Tagged URN implementation with flat, ordered tags and configurable prefix
+ */
+class TaggedUrn {
+  /**
+   * Create a new TaggedUrn
+   * Prefix and keys are validated against the same grammar as fromString.
+   * Instances are frozen; tags are exposed through the read-only `tags` view.
+   *
+   * @param {string} prefix - The prefix for this URN
+   * @param {Object|TagView} tags - Initial tags (keys are normalized to lowercase and validated),
+   *   or another URN's tag view, which is shared as-is
+   * @param {boolean} skipNormalization - If true, skip key normalization and validation (internal use)
+   * @throws {TaggedUrnError} If the prefix, a key or a value is invalid, or two keys collide after normalization
+   */
+  constructor(prefix, tags = {}, skipNormalization = false) {
+    this.prefix = normalizePrefix(prefix);
+    if (tags instanceof TagView) {
+      this.tags = tags;
+    } else if (skipNormalization) {
+      this.tags = TagView._fromObject(tags);
+    } else {
+      const normalized = createTags();
+      for (const [key, value] of Object.entries(tags)) {
+        const normalizedKey = normalizeKey(key);
+        checkValue(normalizedKey, value);
+        if (normalizedKey in normalized) {
+          throw new TaggedUrnError(ErrorCodes.DUPLICATE_KEY, `Duplicate tag key: ${normalizedKey}`, { key: normalizedKey });
+        }
+        normalized[normalizedKey] = value;
+      }
+      this.tags = TagView._fromObject(normalized);
+    }
+    Object.freeze(this);
+  }
+
+  /**
+   * Create a Tagged URN from string representation
+   * Format: prefix:key1=value1;key2=value2;... or prefix:key1="value with spaces";key2=simple
+   *
+   * Case handling:
+   * - Prefix: Normalized to lowercase
    * - Keys: Always normalized to lowercase
    * - Unquoted values: Normalized to lowercase
    * - Quoted values: Case preserved exactly as specified
    *
-   * @param {string} s - The Tagged URN string
-   * @returns {TaggedUrn} The parsed Tagged URN
-   * @throws {TaggedUrnError} If parsing fails
+   * @param {string} s - The Tagged URN string
+   * @returns {TaggedUrn} The parsed Tagged URN
+   * @throws {TaggedUrnError} If parsing fails
+   */
+  static fromString(s) {
+    return parseTaggedUrn(s, null);
+  }
+
+  /**
+   * Parse a Tagged URN, collecting every problem instead of stopping at the first
+   *
+   * Runs the same state machine as fromString but recovers after each error
+   * (at the next ';'), so one call reports all diagnostics. Tags that failed to
+   * parse are left out of the returned URN.
+   *
+   * @param {string} s - The Tagged URN string
+   * @returns {{urn: TaggedUrn|null, errors: TaggedUrnError[]}} Best-effort URN (null if the prefix is unusable) and all diagnostics
+   */
+  static tryParse(s) {
+    const errors = [];
+    const urn = parseTaggedUrn(s, errors);
+    return { urn, errors };
+  }
+
+  /**
+   * Validate a Tagged URN string, reporting every problem
+   *
+   * @param {string} s - The Tagged URN string
+   * @returns {TaggedUrnError[]} All diagnostics; empty if the string is valid
+   */
+  static validate(s) {
+    return TaggedUrn.tryParse(s).errors;
+  }
+
+  /**
+   * Create a Tagged URN from either JSON form produced by toJSON
+   *
+   * Accepts the canonical string form, or the object form
+   * `{ prefix, tags }`. Both go through the same validation as fromString
+   * and the constructor. Object-form values are taken verbatim (no case
+   * normalization), exactly as toJSON emits them.
+   *
+   * @param {string|Object} value - A URN string or `{ prefix, tags }` object
+   * @returns {TaggedUrn} The Tagged URN
+   * @throws {TaggedUrnError} If the value is not a valid URN in either form
+   */
+  static fromJSON(value) {
+    if (typeof value === 'string') {
+      return TaggedUrn.fromString(value);
+    }
+    if (value instanceof TaggedUrn) {
+      return value;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'Tagged URN JSON must be a string or an object with prefix and tags');
+    }
+
+    const { prefix, tags = {} } = value;
+    if (typeof prefix !== 'string') {
+      throw new TaggedUrnError(ErrorCodes.MISSING_PREFIX, 'Tagged URN JSON object must have a string prefix');
+    }
+    if (!tags || typeof tags !== 'object' || Array.isArray(tags)) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'Tagged URN JSON tags must be an object');
+    }
+    for (const key of Object.keys(tags)) {
+      if (typeof tags[key] !== 'string') {
+        throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `Tagged URN JSON value for key '${key}' must be a string`, { key });
+      }
+    }
+    return new TaggedUrn(prefix, tags);
+  }
+
+  /**
+   * Create a JSON.parse reviver that rehydrates URNs at known paths
+   *
+   * Paths are dot-separated property names; '*' matches any property or
+   * array index, and the empty path '' is the document itself. Values found
+   * at a path are passed to fromJSON (null is left as-is), so invalid URNs make
+   * JSON.parse throw. The rehydration runs when the reviver reaches the
+   * document root; documents containing objects whose only key is '' are not
+   * supported.
+   *
+   * @example
+   * JSON.parse(text, TaggedUrn.reviver(['request.pattern', 'caps.*']))
+   *
+   * @param {string[]} paths - Paths of URN values
+   * @returns {Function} A reviver for JSON.parse
+   */
+  static reviver(paths) {
+    const segmentLists = paths.map(path => (path === '' ? [] : path.split('.')));
+    return function (key, value) {
+      // JSON.parse calls the reviver last with the root wrapped as { '': root }
+      if (key !== '' || Object.keys(this).length !== 1) {
+        return value;
+      }
+      let root = value;
+      for (const segments of segmentLists) {
+        root = reviveAt(root, segments, 0);
+      }
+      return root;
+    };
+  }
+
+  /**
+   * Create a Tagged URN from the output of toUriComponent
+   *
+   * Percent-decodes the component and parses the result with fromString.
+   * '+' is not treated as a space.
+   *
+   * @param {string} component - URI-encoded URN
+   * @returns {TaggedUrn} The parsed Tagged URN
+   * @throws {TaggedUrnError} If the percent-encoding or the URN is invalid
+   */
+  static fromUriComponent(component) {
+    if (typeof component !== 'string') {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'URI component must be a string');
+    }
+    let decoded;
+    try {
+      decoded = decodeURIComponent(component);
+    } catch (e) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `invalid percent-encoding in '${component}'`, { input: component });
+    }
+    return TaggedUrn.fromString(decoded);
+  }
+
+  /**
+   * Create a Tagged URN from the output of toFilename
+   *
+   * @param {string} name - File name produced by toFilename
+   * @returns {TaggedUrn} The Tagged URN
+   * @throws {TaggedUrnError} If the name is not a valid encoding, or was shortened with a hash
+   */
+  static fromFilename(name) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'file name must be a non-empty string');
+    }
+    if (FILENAME_HASH_SUFFIX.test(name)) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `file name '${name}' was shortened with a hash and cannot be decoded`, { input: name });
+    }
+
+    const bytes = [];
+    for (let i = 0; i < name.length; i++) {
+      const c = name[i];
+      if (/[a-z0-9-]/.test(c)) {
+        bytes.push(c.charCodeAt(0));
+      } else if (c === '_' && /^[0-9a-f]{2}$/.test(name.slice(i + 1, i + 3))) {
+        bytes.push(parseInt(name.slice(i + 1, i + 3), 16));
+        i += 2;
+      } else {
+        throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `invalid file name encoding at position ${i} in '${name}'`, { input: name, position: i, character: c });
+      }
+    }
+
+    let decoded;
+    try {
+      decoded = new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+    } catch (e) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `file name '${name}' does not decode to UTF-8`, { input: name });
+    }
+    return TaggedUrn.fromString(decoded);
+  }
+
+  /**
+   * Encode a URN in the binary format (about the size of its string form;
+   * encodeBinaryBatch is the form that saves space)
+   *
+   * Layout (all lengths and counts are unsigned LEB128 varints, strings are UTF-8):
+   * - header byte: version (1) << 4 | kind (0 = single URN), i.e. 0x10
+   * - prefix: length, bytes
+   * - tag count, then per tag in canonical key order: key length, key bytes,
+   *   value code - 0 = '*', 1 = '?', 2 = '!', otherwise 3 + value byte length
+   *   followed by the value bytes
+   *
+   * @param {TaggedUrn} urn - The URN to encode
+   * @returns {Uint8Array} The encoded bytes
+   * @throws {TaggedUrnError} If a value contains a lone surrogate
+   */
+  static encodeBinary(urn) {
+    const out = [(BINARY_FORMAT_VERSION << 4) | BINARY_KIND_SINGLE];
+    writeString(out, urn.prefix);
+    writeVarint(out, urn.tags.size);
+    for (const [key, value] of urn.tags) {
+      writeString(out, key);
+      const special = BINARY_SPECIAL_VALUES.indexOf(value);
+      if (special !== -1) {
+        writeVarint(out, special);
+      } else {
+        const bytes = exactUtf8Bytes(value);
+        writeVarint(out, BINARY_LITERAL_BASE + bytes.length);
+        for (const byte of bytes) {
+          out.push(byte);
+        }
+      }
+    }
+    return Uint8Array.from(out);
+  }
+
+  /**
+   * Decode a URN produced by encodeBinary
+   *
+   * @param {Uint8Array|ArrayBuffer|ArrayBufferView} data - Encoded bytes
+   * @returns {TaggedUrn} The decoded URN, validated like a parsed one
+   * @throws {TaggedUrnError} If the data is corrupt or describes an invalid URN
+   */
+  static decodeBinary(data) {
+    const reader = new BinaryReader(asBytes(data));
+    reader.header(BINARY_KIND_SINGLE);
+    const prefix = reader.string();
+    const count = reader.varint();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const key = reader.string();
+      const code = reader.varint();
+      if (code < BINARY_LITERAL_BASE) {
+        entries.push([key, BINARY_SPECIAL_VALUES[code]]);
+      } else {
+        entries.push([key, reader.text(code - BINARY_LITERAL_BASE)]);
+      }
+    }
+    reader.end();
+    return urnFromDecoded(prefix, entries);
+  }
+
+  /**
+   * Encode many URNs with a shared string dictionary
+   *
+   * Layout: header byte 0x11 (version 1, kind 1 = batch), dictionary size and
+   * strings (length, bytes) in first-use order, URN count, then per URN:
+   * prefix index, tag count, and per tag a key index and a value code -
+   * 0 = '*', 1 = '?', 2 = '!', otherwise 3 + dictionary index.
+   *
+   * @param {Iterable<TaggedUrn>} urns - The URNs to encode
+   * @returns {Uint8Array} The encoded bytes
+   * @throws {TaggedUrnError} If a value contains a lone surrogate
+   */
+  static encodeBinaryBatch(urns) {
+    const dictionary = new Map();
+    const intern = (str) => {
+      let index = dictionary.get(str);
+      if (index === undefined) {
+        index = dictionary.size;
+        dictionary.set(str, index);
+      }
+      return index;
+    };
+
+    const body = [];
+    let count = 0;
+    for (const urn of urns) {
+      count++;
+      writeVarint(body, intern(urn.prefix));
+      writeVarint(body, urn.tags.size);
+      for (const [key, value] of urn.tags) {
+        writeVarint(body, intern(key));
+        const special = BINARY_SPECIAL_VALUES.indexOf(value);
+        writeVarint(body, special !== -1 ? special : BINARY_LITERAL_BASE + intern(value));
+      }
+    }
+
+    const out = [(BINARY_FORMAT_VERSION << 4) | BINARY_KIND_BATCH];
+    writeVarint(out, dictionary.size);
+    for (const str of dictionary.keys()) {
+      writeString(out, str);
+    }
+    writeVarint(out, count);
+    for (const byte of body) {
+      out.push(byte);
+    }
+    return Uint8Array.from(out);
+  }
+
+  /**
+   * Decode URNs produced by encodeBinaryBatch
+   *
+   * @param {Uint8Array|ArrayBuffer|ArrayBufferView} data - Encoded bytes
+   * @returns {TaggedUrn[]} The decoded URNs, in encoding order
+   * @throws {TaggedUrnError} If the data is corrupt or describes an invalid URN
+   */
+  static decodeBinaryBatch(data) {
+    const reader = new BinaryReader(asBytes(data));
+    reader.header(BINARY_KIND_BATCH);
+    const dictionarySize = reader.varint();
+    const dictionary = [];
+    for (let i = 0; i < dictionarySize; i++) {
+      dictionary.push(reader.string());
+    }
+    const lookup = (index) => {
+      if (index >= dictionary.length) {
+        throw reader.fail(`dictionary index ${index} out of range`);
+      }
+      return dictionary[index];
+    };
+
+    const count = reader.varint();
+    const urns = [];
+    for (let i = 0; i < count; i++) {
+      const prefix = lookup(reader.varint());
+      const tagCount = reader.varint();
+      const entries = [];
+      for (let j = 0; j < tagCount; j++) {
+        const key = lookup(reader.varint());
+        const code = reader.varint();
+        entries.push([key, code < BINARY_LITERAL_BASE ? BINARY_SPECIAL_VALUES[code] : lookup(code - BINARY_LITERAL_BASE)]);
+      }
+      urns.push(urnFromDecoded(prefix, entries));
+    }
+    reader.end();
+    return urns;
+  }
+
+  /**
+   * Encode a URN as a base64url token (unpadded) of its binary form
+   *
+   * @param {TaggedUrn} urn - The URN to encode
+   * @returns {string} The token
+   * @throws {TaggedUrnError} If a value contains a lone surrogate
+   */
+  static encodeToken(urn) {
+    return base64UrlEncode(TaggedUrn.encodeBinary(urn));
+  }
+
+  /**
+   * Decode a token produced by encodeToken
+   *
+   * @param {string} token - base64url token
+   * @returns {TaggedUrn} The decoded URN
+   * @throws {TaggedUrnError} If the token or the encoded URN is invalid
+   */
+  static decodeToken(token) {
+    return TaggedUrn.decodeBinary(base64UrlDecode(token));
+  }
+
+  /**
+   * Parse a newline-delimited list of URNs
+   *
+   * Each non-blank, non-comment line is parsed with fromString, so accept/reject
+   * behaviour is identical to single-string parsing. Lines starting with '#'
+   * (after optional whitespace) are comments. Errors do not stop parsing; they
+   * are returned as records with the failing line number.
+   *
+   * @param {string|Iterable<string>} input - Text, or an iterable yielding one line per element
+   * @param {Object} [options]
+   * @param {boolean} [options.canonicalize=false] - Add the canonical string to each URN record
+   * @param {boolean} [options.dedupe=false] - Skip URNs whose canonical form was already seen
+   * @returns {Array<{line: number, urn: TaggedUrn, canonical?: string}|{line: number, error: TaggedUrnError}>} Records in input order
+   */
+  static parseMany(input, options = {}) {
+    const lines = typeof input === 'string' ? input.split('\n') : input;
+    const seen = new Set();
+    const records = [];
+    let lineNumber = 0;
+    for (const line of lines) {
+      const record = parseListLine(line, ++lineNumber, options, seen);
+      if (record) {
+        records.push(record);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Streaming variant of parseMany
+   *
+   * Consumes an (async) iterable of text chunks - strings or UTF-8 byte chunks,
+   * e.g. a Node Readable stream - and yields the same records as parseMany as
+   * soon as each line is complete. Wrap with stream.Readable.from() for a
+   * Node stream of records.
+   *
+   * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} source - Text chunks
+   * @param {Object} [options] - Same options as parseMany
+   * @returns {AsyncGenerator<Object>} Records in input order
+   */
+  static async *parseStream(source, options = {}) {
+    const seen = new Set();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    let lineNumber = 0;
+
+    for await (const chunk of source) {
+      buffered += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      let newline;
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const record = parseListLine(buffered.slice(0, newline), ++lineNumber, options, seen);
+        buffered = buffered.slice(newline + 1);
+        if (record) {
+          yield record;
+        }
+      }
+    }
+
+    buffered += decoder.decode();
+    if (buffered !== '') {
+      const record = parseListLine(buffered, ++lineNumber, options, seen);
+      if (record) {
+        yield record;
+      }
+    }
+  }
+
+  /**
+   * Create an empty Tagged URN with the specified prefix (required)
+   * @param {string} prefix - The prefix to use
+   * @returns {TaggedUrn} An empty TaggedUrn instance
+   */
+  static empty(prefix) {
+    return new TaggedUrn(prefix, {}, true);
+  }
+
+  /**
+   * Parse a URN string and return its canonical form.
+   *
+   * @param {string} urnStr - The URN string to canonicalize
+   * @returns {string} The canonical string representation
+   * @throws {TaggedUrnError} If parsing fails
+   */
+  static canonical(urnStr) {
+    return TaggedUrn.fromString(urnStr).toString();
+  }
+
+  /**
+   * Parse a URN string and return its canonical form, or null if input is null/undefined.
+   *
+   * @param {string|null|undefined} urnStr - The URN string to canonicalize
+   * @returns {string|null} The canonical string representation, or null
+   * @throws {TaggedUrnError} If parsing fails (for non-null input)
+   */
+  static canonicalOption(urnStr) {
+    if (urnStr === null || urnStr === undefined) return null;
+    return TaggedUrn.fromString(urnStr).toString();
+  }
+
+  /**
+   * Parse a URN string through the shared interner
+   *
+   * Equivalent strings return the same frozen instance while it stays in the
+   * cache; see UrnInterner for sizing and statistics.
+   *
+   * @param {string|TaggedUrn} input - URN string or URN
+   * @returns {TaggedUrn} The interned instance
+   * @throws {TaggedUrnError} If the string is not a valid URN
+   */
+  static intern(input) {
+    return defaultInterner.intern(input);
+  }
+
+  /**
+   * The shared interner used by TaggedUrn.intern
+   * @returns {UrnInterner}
+   */
+  static get interner() {
+    return defaultInterner;
+  }
+
+  /**
+   * Get the prefix of this tagged URN
+   * @returns {string} The prefix
+   */
+  getPrefix() {
+    return this.prefix;
+  }
+
+  /**
+   * Get the canonical string representation of this tagged URN
+   * Uses the stored prefix
+   * Tags are sorted alphabetically for consistent representation
+   * No trailing semicolon in canonical form
+   * Values are quoted only when necessary (smart quoting)
+   * Special value serialization:
+   * - * (must-have-any): serialized as value-less tag (just the key)
+   * - ? (unspecified): serialized as key=?
+   * - ! (must-not-have): serialized as key=!
+   *
+   * @returns {string} The canonical string representation
+   */
+  toString() {
+    if (this.tags.size === 0) {
+      return `${this.prefix}:`;
+    }
+
+    // Keys come out of the tag view already sorted for canonical representation
+    const store = this.tags._store;
+
+    // Build tag string with smart quoting
+    const tagParts = tagKeys(this.tags).map(key => {
+      const value = store[key];
+      switch (value) {
+        case '*':
+          // Valueless sugar: key
+          return key;
+        case '?':
+          // Explicit: key=?
+          return `${key}=?`;
+        case '!':
+          // Explicit: key=!
+          return `${key}=!`;
+        default:
+          if (needsQuoting(value)) {
+            return `${key}=${quoteValue(value)}`;
+          } else {
+            return `${key}=${value}`;
+          }
+      }
+    });
+
+    return `${this.prefix}:${tagParts.join(';')}`;
+  }
+
+  /**
+   * JSON representation of this tagged URN
+   *
+   * JSON.stringify uses the canonical string form. Pass `{ form: 'object' }`
+   * for `{ prefix, tags }`, with tags in canonical key order and values
+   * (including quoted-value case and the '*', '?' and '!' special values)
+   * exactly as stored. Both forms are plain data, safe for structuredClone
+   * and postMessage, and are read back by TaggedUrn.fromJSON.
+   *
+   * @param {Object|string} [options] - `{ form: 'object' }`; JSON.stringify passes the property key
+   * @returns {string|{prefix: string, tags: Object}} The JSON form
+   */
+  toJSON(options) {
+    if (options && typeof options === 'object' && options.form === 'object') {
+      return { prefix: this.prefix, tags: this.tags.toObject() };
+    }
+    return this.toString();
+  }
+
+  /**
+   * Encode the canonical form for use in a URI path segment or query value
+   *
+   * Unreserved characters and ':', ';', '=', '@', '!', '*' and ','
+   * are kept literal, so common URNs stay readable
+   * (`cap:ext=pdf;op=generate` is unchanged). Everything else - '/', quotes,
+   * backslashes, spaces, '?', '#', '%', '&', '+' and non-ASCII characters - is
+   * percent-encoded as UTF-8, so the result is always a single path segment. Reverse with TaggedUrn.fromUriComponent.
+   *
+   * @returns {string} The encoded canonical form
+   * @throws {TaggedUrnError} If a value contains a lone surrogate
+   */
+  toUriComponent() {
+    let result = '';
+    for (const c of this.toString()) {
+      result += URI_SAFE_CHAR.test(c) ? c : percentEncode(c);
+    }
+    return result;
+  }
+
+  /**
+   * Encode the canonical form as a portable file name
+   *
+   * Lowercase letters, digits and '-' are kept (except a leading '-'); every
+   * other character becomes '_' plus two lowercase hex digits per UTF-8 byte.
+   * The result is lowercase, contains no '.', and is the same for all equal
+   * URNs, so it is safe on case-insensitive file systems and never a
+   * reserved Windows device name. Names longer than maxLength are cut and end
+   * in '_h' plus the 64-bit FNV-1a hash (hex) of the canonical form; such
+   * names cannot be decoded by fromFilename.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.maxLength=200] - Maximum name length (at least 32)
+   * @returns {string} The file name
+   * @throws {TaggedUrnError} If maxLength is too small or a value contains a lone surrogate
+   */
+  toFilename(options = {}) {
+    const maxLength = options.maxLength === undefined ? DEFAULT_FILENAME_MAX_LENGTH : options.maxLength;
+    if (!Number.isInteger(maxLength) || maxLength < 32) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `file name maxLength must be an integer of at least 32, got ${maxLength}`);
+    }
+
+    const canonical = this.toString();
+    let name = '';
+    for (const c of canonical) {
+      name += /[a-z0-9]/.test(c) || (c === '-' && name !== '') ? c : filenameEscape(c);
+    }
+    if (name.length <= maxLength) {
+      return name;
+    }
+
+    // Shorten without splitting an escape, then append the hash of the full canonical form
+    let cut = maxLength - 18;
+    const lastEscape = name.lastIndexOf('_', cut - 1);
+    if (lastEscape !== -1 && lastEscape > cut - 3) {
+      cut = lastEscape;
+    }
+    return `${name.slice(0, cut)}_h${fnv1a64(utf8Bytes(canonical))}`;
+  }
+
+  /**
+   * Get the value of a specific tag
+   * Key is normalized to lowercase for lookup
+   *
+   * @param {string} key - The tag key
+   * @returns {string|undefined} The tag value or undefined if not found
+   */
+  getTag(key) {
+    return this.tags.get(key);
+  }
+
+  /**
+   * Check if this URN has a specific tag with a specific value
+   * Key is normalized to lowercase; value comparison is case-sensitive
+   *
+   * @param {string} key - The tag key
+   * @param {string} value - The tag value to check
+   * @returns {boolean} Whether the tag exists with the specified value
+   */
+  hasTag(key, value) {
+    const tagValue = this.tags.get(key);
+    return tagValue !== undefined && tagValue === value;
+  }
+
+  /**
+   * Create a new tagged URN with an added or updated tag
+   * Key is normalized to lowercase; value is preserved as-is
+   *
+   * @param {string} key - The tag key
+   * @param {string} value - The tag value
+   * @returns {TaggedUrn} A new TaggedUrn instance with the tag added/updated
+   * @throws {TaggedUrnError} If the key is invalid or the value is empty
+   */
+  withTag(key, value) {
+    checkValue(key, value);
+    const normalizedKey = normalizeKey(key);
+    return new TaggedUrn(this.prefix, this.tags._derive([[normalizedKey, value]]));
+  }
+
+  /**
+   * Create a new tagged URN with a tag removed
+   * Key is normalized to lowercase for case-insensitive removal
+   *
+   * @param {string} key - The tag key to remove
+   * @returns {TaggedUrn} A new TaggedUrn instance with the tag removed
+   */
+  withoutTag(key) {
+    if (!this.tags.has(key)) {
+      return this;
+    }
+    return new TaggedUrn(this.prefix, this.tags._derive([[key.toLowerCase(), undefined]]));
+  }
+
+  /**
+   * Check if this URN (instance) satisfies the pattern's constraints.
+   * Equivalent to pattern.accepts(this).
+   *
+   * IMPORTANT: Both URNs must have the same prefix. Comparing URNs with
+   * different prefixes is a programming error and will throw an error.
+   *
+   * With options.closed, keys the pattern does not mention are rejected
+   * instead of ignored (closed-world matching), unless listed in
+   * options.ignoreKeys or set to '!' on the instance. Mentioned keys,
+   * including pattern '?' keys, follow the usual truth table.
+   *
+   * @param {TaggedUrn} pattern - The pattern URN to match against
+   * @param {Object} [options]
+   * @param {boolean} [options.closed=false] - Reject instance keys the pattern does not mention
+   * @param {string[]} [options.ignoreKeys] - Keys allowed without a mention in closed mode
+   * @returns {boolean} Whether this instance conforms to the pattern
+   * @throws {TaggedUrnError} If prefixes don't match
+   */
+  conformsTo(pattern, options) {
+    if (!pattern) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot match against null pattern');
+    }
+    return TaggedUrn._checkMatch(
+      this.tags, this.prefix, pattern.tags, pattern.prefix, resolveClosedWorld(options)
+    );
+  }
+
+  /**
+   * Check if this URN (pattern) accepts the given instance.
+   * Equivalent to instance.conformsTo(this).
+   *
+   * @param {TaggedUrn} instance - The instance URN to test
+   * @param {Object} [options] - As for conformsTo ({ closed, ignoreKeys })
+   * @returns {boolean} Whether the pattern accepts the instance
+   * @throws {TaggedUrnError} If prefixes don't match
+   */
+  accepts(instance, options) {
+    if (!instance) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot match against null instance');
+    }
+    return TaggedUrn._checkMatch(
+      instance.tags, instance.prefix, this.tags, this.prefix, resolveClosedWorld(options)
+    );
+  }
+
+  /**
+   * Check if this URN (instance) satisfies the pattern string's constraints.
+   * Parses the pattern string then calls conformsTo().
+   *
+   * @param {string} patternStr - The pattern URN string to match against
+   * @param {Object} [options] - As for conformsTo
+   * @returns {boolean} Whether this instance conforms to the pattern
+   * @throws {TaggedUrnError} If parsing fails or prefixes don't match
+   */
+  conformsToStr(patternStr, options) {
+    const pattern = TaggedUrn.fromString(patternStr);
+    return this.conformsTo(pattern, options);
+  }
+
+  /**
+   * Check if this URN (pattern) accepts the given instance string.
+   * Parses the instance string then calls accepts().
+   *
+   * @param {string} instanceStr - The instance URN string to test
+   * @param {Object} [options] - As for conformsTo
+   * @returns {boolean} Whether the pattern accepts the instance
+   * @throws {TaggedUrnError} If parsing fails or prefixes don't match
+   */
+  acceptsStr(instanceStr, options) {
+    const instance = TaggedUrn.fromString(instanceStr);
+    return this.accepts(instance, options);
+  }
+
+  /**
+   * Explain why this URN (instance) does or does not conform to a pattern
+   *
+   * Every key of either URN is listed in canonical order with both values
+   * (undefined when absent), its truth-table rule and a readable reason.
+   * The overall verdict always equals conformsTo(pattern, options); in
+   * closed-world mode unmentioned instance keys get the UNMENTIONED_KEY rule.
+   *
+   * @param {TaggedUrn} pattern - The pattern URN
+   * @param {Object} [options] - As for conformsTo ({ closed, ignoreKeys })
+   * @returns {{matches: boolean, prefix: string, keys: Object[]}} The explanation
+   * @throws {TaggedUrnError} If prefixes don't match
+   */
+  explainMatch(pattern, options) {
+    if (!pattern) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot match against null pattern');
+    }
+    return explainCheck(this, pattern, options);
+  }
+
+  /**
+   * Explain why this URN (pattern) does or does not accept an instance
+   * Equivalent to instance.explainMatch(this).
+   *
+   * @param {TaggedUrn} instance - The instance URN
+   * @param {Object} [options] - As for conformsTo ({ closed, ignoreKeys })
+   * @returns {{matches: boolean, prefix: string, keys: Object[]}} The explanation
+   * @throws {TaggedUrnError} If prefixes don't match
+   */
+  explainAccepts(instance, options) {
+    if (!instance) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot match against null instance');
+    }
+    return explainCheck(instance, this, options);
+  }
+
+  /**
+   * Check whether this pattern accepts every concrete instance another pattern accepts
+   *
+   * Unlike accepts, other is read as a pattern: its '?' and missing keys allow
+   * absence and any value, '!' allows only absence, '*' any value. So
+   * cap:ext=* accepts cap:ext=? but does not subsume it.
+   *
+   * @param {TaggedUrn} other - The other pattern
+   * @returns {boolean} Whether other's instances are a subset of this pattern's
+   * @throws {TaggedUrnError} If prefixes don't match
+   */
+  subsumes(other) {
+    if (!other) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot compare against null URN');
+    }
+    if (this.prefix !== other.prefix) {
+      throw prefixMismatch(other.prefix, this.prefix);
+    }
+    for (const key of new Set([...tagKeys(this.tags), ...tagKeys(other.tags)])) {
+      if (!valueSubsumes(this.tags._store[key], other.tags._store[key])) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Check whether every concrete instance this pattern accepts is accepted by another
+   * Equivalent to other.subsumes(this).
+   *
+   * @param {TaggedUrn} other - The other pattern
+   * @returns {boolean}
+   * @throws {TaggedUrnError} If prefixes don't match
+   */
+  isSubpatternOf(other) {
+    if (!other) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot compare against null URN');
+    }
+    return other.subsumes(this);
+  }
+
+  /**
+   * Classify how the instance sets of this pattern and another relate
+   *
+   * @param {TaggedUrn} other - The other pattern
+   * @returns {string} A PatternRelation: EQUAL (same instances), NARROWER (this accepts a
+   *   strict subset of other's), WIDER (a strict superset), DISJOINT (no instance in common)
+   *   or OVERLAPPING (some, but neither contains the other)
+   * @throws {TaggedUrnError} If prefixes don't match
+   */
+  relationTo(other) {
+    const wider = this.subsumes(other);
+    const narrower = other.subsumes(this);
+    if (wider && narrower) {
+      return PatternRelation.EQUAL;
+    }
+    if (narrower) {
+      return PatternRelation.NARROWER;
+    }
+    if (wider) {
+      return PatternRelation.WIDER;
+    }
+    for (const key of new Set([...tagKeys(this.tags), ...tagKeys(other.tags)])) {
+      if (meetValues(this.tags._store[key], other.tags._store[key]) === null) {
+        return PatternRelation.DISJOINT;
+      }
+    }
+    return PatternRelation.OVERLAPPING;
+  }
+
+  /**
+   * Compile this URN (as a pattern) into a reusable predicate
+   *
+   * The pattern's tags are split once into exact-value, must-have-any and
+   * must-not-have keys ('?' keys are ignored), so each call only looks up
+   * those keys on the instance. The predicate gives the same answers as
+   * accepts(), including instance-side '?', '*' and '!'.
+   *
+   * @param {Object} [options] - As for accepts ({ closed, ignoreKeys }), fixed at compile time
+   * @returns {function(TaggedUrn): boolean} Predicate testing whether the pattern accepts an instance;
+   *   it throws PREFIX_MISMATCH for instances with another prefix
+   */
+  compile(options) {
+    const pattern = this;
+    const ignorable = resolveClosedWorld(options);
+    const exactKeys = [];
+    const exactValues = [];
+    const mustHave = [];
+    const mustNot = [];
+    for (const [key, value] of this.tags) {
+      if (value === '*') {
+        mustHave.push(key);
+      } else if (value === '!') {
+        mustNot.push(key);
+      } else if (value !== '?') {
+        exactKeys.push(key);
+        exactValues.push(value);
+      }
+    }
+
+    return function accepts(instance) {
+      if (!instance) {
+        throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot match against null instance');
+      }
+      if (instance.prefix !== pattern.prefix) {
+        throw prefixMismatch(instance.prefix, pattern.prefix);
+      }
+      if (instance.tags === pattern.tags) {
+        return true;
+      }
+      const store = instance.tags._store;
+      for (let i = 0; i < exactKeys.length; i++) {
+        // Absent and '!' fail; the instance's '?' and '*' accept any value
+        const value = store[exactKeys[i]];
+        if (value !== exactValues[i] && value !== '?' && value !== '*') {
+          return false;
+        }
+      }
+      for (let i = 0; i < mustHave.length; i++) {
+        const value = store[mustHave[i]];
+        if (value === undefined || value === '!') {
+          return false;
+        }
+      }
+      for (let i = 0; i < mustNot.length; i++) {
+        const value = store[mustNot[i]];
+        if (value !== undefined && value !== '?' && value !== '!') {
+          return false;
+        }
+      }
+      return !ignorable || !hasUnmentionedKey(instance.tags, pattern.tags, ignorable);
+    };
+  }
+
+  /**
+   * Core matching: does instance satisfy pattern's constraints?
+   * ignorable is the closed-world key set from resolveClosedWorld, or null.
+   * @private
+   */
+  static _checkMatch(instanceTags, instancePrefix, patternTags, patternPrefix, ignorable) {
+    if (instancePrefix !== patternPrefix) {
+      throw prefixMismatch(instancePrefix, patternPrefix);
+    }
+
+    // Every value matches itself, so a URN (or shared tag view) always matches itself
+    if (instanceTags === patternTags) {
+      return true;
+    }
+
+    const allKeys = new Set([...tagKeys(instanceTags), ...tagKeys(patternTags)]);
+
+    for (const key of allKeys) {
+      const inst = instanceTags._store[key];
+      const patt = patternTags._store[key];
+
+      if (!valuesMatch(inst, patt)) {
+        return false;
+      }
+    }
+    return !ignorable || !hasUnmentionedKey(instanceTags, patternTags, ignorable);
+  }
+
+  /**
+   * Calculate specificity score for URN matching
+   * More specific URNs have higher scores and are preferred
+   * Graded scoring:
+   * - K=v (exact value): 3 points (most specific)
+   * - K=* (must-have-any): 2 points
+   * - K=! (must-not-have): 1 point
+   * - K=? (unspecified): 0 points (least specific)
+   *
+   * @returns {number} The specificity score
+   */
+  specificity() {
+    let score = 0;
+    for (const value of this.tags.values()) {
+      switch (value) {
+        case '?':
+          score += 0;
+          break;
+        case '!':
+          score += 1;
+          break;
+        case '*':
+          score += 2;
+          break;
+        default:
+          score += 3; // exact value
+      }
+    }
+    return score;
+  }
+
+  /**
+   * Get specificity as a tuple for tie-breaking
+   * Returns [exact_count, must_have_any_count, must_not_count]
+   * Compare tuples lexicographically when sum scores are equal
+   *
+   * @returns {number[]} The specificity tuple [exact, mustHaveAny, mustNot]
+   */
+  specificityTuple() {
+    let exact = 0;
+    let mustHaveAny = 0;
+    let mustNot = 0;
+    for (const value of this.tags.values()) {
+      switch (value) {
+        case '?':
+          // 0 points, not counted
+          break;
+        case '!':
+          mustNot++;
+          break;
+        case '*':
+          mustHaveAny++;
+          break;
+        default:
+          exact++;
+      }
+    }
+    return [exact, mustHaveAny, mustNot];
+  }
+
+  /**
+   * Check if this URN is more specific than another
+   *
+   * @param {TaggedUrn} other - The other URN to compare with
+   * @returns {boolean} Whether this URN is more specific
+   * @throws {TaggedUrnError} If prefixes don't match
+   */
+  isMoreSpecificThan(other) {
+    if (!other) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot compare against null URN');
+    }
+
+    // First check prefix
+    if (this.prefix !== other.prefix) {
+      throw new TaggedUrnError(
+        ErrorCodes.PREFIX_MISMATCH,
+        `Cannot compare URNs with different prefixes: '${this.prefix}' vs '${other.prefix}'`
+      );
+    }
+
+    return this.specificity() > other.specificity();
+  }
+
+  /**
+   * Check if two URNs are equivalent (identical tag sets)
+   * a.isEquivalent(b) ≡ a.accepts(b) && b.accepts(a)
+   */
+  isEquivalent(other) {
+    if (!other) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot compare against null URN');
+    }
+    return this.accepts(other) && other.accepts(this);
+  }
+
+  /**
+   * Check if two URNs are comparable (one is a specialization of the other)
+   * a.isComparable(b) ≡ a.accepts(b) || b.accepts(a)
+   */
+  isComparable(other) {
+    if (!other) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot compare against null URN');
+    }
+    return this.accepts(other) || other.accepts(this);
+  }
+
+  /**
+   * String variant of isEquivalent
+   */
+  isEquivalentStr(otherStr) {
+    const other = TaggedUrn.fromString(otherStr);
+    return this.isEquivalent(other);
+  }
+
+  /**
+   * String variant of isComparable
+   */
+  isComparableStr(otherStr) {
+    const other = TaggedUrn.fromString(otherStr);
+    return this.isComparable(other);
+  }
+
+  /**
+   * Create a new URN with a specific tag set to wildcard
+   *
+   * @param {string} key - The tag key to set to wildcard
+   * @returns {TaggedUrn} A new TaggedUrn instance with the tag set to wildcard
+   */
+  withWildcardTag(key) {
+    if (this.tags.has(key)) {
+      return this.withTag(key, '*');
+    }
+    return this;
+  }
+
+  /**
+   * Create a new URN with only specified tags
+   *
+   * @param {string[]} keys - Array of tag keys to include
+   * @returns {TaggedUrn} A new TaggedUrn instance with only the specified tags
+   */
+  subset(keys) {
+    const newTags = createTags();
+    for (const key of keys) {
+      const normalizedKey = key.toLowerCase();
+      if (this.tags.has(normalizedKey)) {
+        newTags[normalizedKey] = this.tags.get(normalizedKey);
+      }
+    }
+    return new TaggedUrn(this.prefix, newTags, true);
+  }
+
+  /**
+   * Merge with another URN (other takes precedence for conflicts)
+   * Both must have the same prefix; use TaggedUrn.intersect to detect conflicts instead
+   *
+   * @param {TaggedUrn} other - The URN to merge with
+   * @returns {TaggedUrn} A new TaggedUrn instance with merged tags
+   * @throws {TaggedUrnError} If prefixes don't match
    */
-  static fromString(s) {
-    if (!s || typeof s !== 'string') {
-      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'Tagged URN cannot be empty');
+  merge(other) {
+    if (!other) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot merge with null URN');
     }
 
-    // Fail hard on leading/trailing whitespace
-    if (s !== s.trim()) {
-      throw new TaggedUrnError(ErrorCodes.WHITESPACE_IN_INPUT, `Tagged URN has leading or trailing whitespace: '${s}'`);
+    if (this.prefix !== other.prefix) {
+      throw new TaggedUrnError(
+        ErrorCodes.PREFIX_MISMATCH,
+        `Cannot merge URNs with different prefixes: '${this.prefix}' vs '${other.prefix}'`
+      );
     }
 
-    // Find the prefix (everything before the first colon)
-    const colonPos = s.indexOf(':');
-    if (colonPos === -1) {
-      throw new TaggedUrnError(ErrorCodes.MISSING_PREFIX, "Tagged URN must have a prefix followed by ':'");
+    if (other.tags.size === 0) {
+      return this;
     }
+    return new TaggedUrn(this.prefix, this.tags._derive([...other.tags.entries()]));
+  }
 
-    if (colonPos === 0) {
-      throw new TaggedUrnError(ErrorCodes.EMPTY_PREFIX, 'Tagged URN prefix cannot be empty');
+  /**
+   * Intersect patterns: the most general pattern that every input accepts
+   *
+   * Per key, '?' and absence impose nothing, '*' narrows to an exact value,
+   * equal values combine, and '!' vs a value or '*', or two different exact
+   * values, are contradictions. Unlike merge, conflicts are reported rather
+   * than overwritten.
+   *
+   * @param {...TaggedUrn} urns - Patterns to combine (at least one, same prefix); a single
+   *   iterable of patterns is also accepted
+   * @returns {Object} { satisfiable: true, urn, conflicts: [] }, or
+   *   { satisfiable: false, urn: null, conflicts: [{ key, values: [a, b], inputs: [i, j] }] }
+   *   with one entry per conflicting key, naming the first two inputs that disagree on it
+   * @throws {TaggedUrnError} If no URN is given, an argument is not a TaggedUrn, or prefixes don't match
+   */
+  static intersect(...urns) {
+    const single = urns.length === 1 ? urns[0] : undefined;
+    const list = single && !(single instanceof TaggedUrn) && typeof single[Symbol.iterator] === 'function'
+      ? [...single]
+      : urns;
+    if (list.length === 0) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'intersect needs one or more URNs');
+    }
+    if (!list.every(urn => urn instanceof TaggedUrn)) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'intersect needs TaggedUrn instances');
     }
+    const prefix = list[0].prefix;
+    const values = new Map();
+    const sources = new Map();
+    const conflicts = new Map();
+
+    list.forEach((urn, index) => {
+      if (urn.prefix !== prefix) {
+        throw new TaggedUrnError(
+          ErrorCodes.PREFIX_MISMATCH,
+          `Cannot intersect URNs with different prefixes: '${prefix}' vs '${urn.prefix}'`
+        );
+      }
+      for (const [key, value] of urn.tags) {
+        if (conflicts.has(key)) {
+          continue;
+        }
+        const current = values.get(key);
+        const met = meetValues(current, value);
+        if (met === null) {
+          conflicts.set(key, { key, values: [current, value], inputs: [sources.get(key), index] });
+        } else if (met !== current) {
+          values.set(key, met);
+          sources.set(key, index);
+        }
+      }
+    });
 
-    const prefix = s.slice(0, colonPos).toLowerCase();
-    const tagsPart = s.slice(colonPos + 1);
-    const tags = {};
+    if (conflicts.size > 0) {
+      const sorted = [...conflicts.keys()].sort().map(key => conflicts.get(key));
+      return { satisfiable: false, urn: null, conflicts: sorted };
+    }
+    const tags = createTags();
+    for (const [key, value] of values) {
+      if (value !== undefined) {
+        tags[key] = value;
+      }
+    }
+    return { satisfiable: true, urn: new TaggedUrn(prefix, tags, true), conflicts: [] };
+  }
 
-    // Handle empty tagged URN (prefix: with no tags or just semicolon)
-    if (tagsPart === '' || tagsPart === ';') {
-      return new TaggedUrn(prefix, tags, true);
+  /**
+   * Least-general generalization: the most specific pattern accepting every input
+   *
+   * Per key: equal values are kept, differing present values become '*',
+   * and keys present in some inputs but absent from others are dropped (or
+   * set to '?' with partial: '?'). A key that is absent or '!' in every input
+   * becomes '!' if some input says '!' explicitly or it is listed in
+   * absentKeys. Inputs with '?' for a key accept any value there and do not
+   * narrow it. The result accepts every input.
+   *
+   * @param {TaggedUrn[]} urns - URNs to cover (at least one, same prefix)
+   * @param {Object} [options]
+   * @param {string} [options.partial='drop'] - 'drop' or '?' for keys missing from some inputs
+   * @param {string[]} [options.absentKeys] - Keys to mark '!' when absent from every input
+   * @returns {TaggedUrn} The generalized pattern
+   * @throws {TaggedUrnError} If urns is not an iterable of one or more TaggedUrns, an option
+   *   is invalid, or prefixes don't match
+   */
+  static generalize(urns, options = {}) {
+    if (urns && typeof urns[Symbol.iterator] !== 'function') {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'generalize needs an iterable of URNs');
+    }
+    const list = [...(urns || [])];
+    if (list.length === 0) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'generalize needs one or more URNs');
+    }
+    if (!list.every(urn => urn instanceof TaggedUrn)) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'generalize needs TaggedUrn instances');
+    }
+    const partial = options.partial === undefined ? 'drop' : options.partial;
+    if (partial !== 'drop' && partial !== '?') {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `invalid partial option '${partial}': expected 'drop' or '?'`);
+    }
+    const prefix = list[0].prefix;
+    for (const urn of list) {
+      if (urn.prefix !== prefix) {
+        throw new TaggedUrnError(
+          ErrorCodes.PREFIX_MISMATCH,
+          `Cannot generalize URNs with different prefixes: '${prefix}' vs '${urn.prefix}'`
+        );
+      }
     }
 
-    let state = ParseState.EXPECTING_KEY;
-    let currentKey = '';
-    let currentValue = '';
-    const chars = [...tagsPart];
-    let pos = 0;
+    const keys = new Set();
+    for (const urn of list) {
+      for (const key of urn.tags.keys()) {
+        keys.add(key);
+      }
+    }
+    const absentKeys = new Set((options.absentKeys || []).map(normalizeKey));
+    const tags = createTags();
+    for (const key of absentKeys) {
+      if (!keys.has(key)) {
+        tags[key] = '!';
+      }
+    }
 
-    const finishTag = () => {
-      if (currentKey === '') {
-        throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, 'empty key');
+    for (const key of keys) {
+      // '?' inputs accept anything for this key, so only the others narrow it
+      const values = list.map(urn => urn.tags.get(key)).filter(value => value !== '?');
+      if (values.length === 0) {
+        tags[key] = '?';
+        continue;
       }
-      if (currentValue === '') {
-        throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, `empty value for key '${currentKey}'`);
+      const absent = values.filter(value => value === undefined || value === '!');
+      if (absent.length === values.length) {
+        // Absent everywhere it matters; an explicit '!' is kept
+        if (absent.includes('!') || absentKeys.has(key)) {
+          tags[key] = '!';
+        }
+      } else if (absent.length > 0) {
+        if (partial === '?') {
+          tags[key] = '?';
+        }
+      } else {
+        // Present everywhere: '*' inputs accept any exact value
+        const exact = new Set(values.filter(value => value !== '*'));
+        tags[key] = exact.size === 1 ? [...exact][0] : '*';
       }
+    }
+    return new TaggedUrn(prefix, tags, true);
+  }
 
-      // Check for duplicate keys
-      if (tags.hasOwnProperty(currentKey)) {
-        throw new TaggedUrnError(ErrorCodes.DUPLICATE_KEY, `Duplicate tag key: ${currentKey}`);
+  /**
+   * Check if this tagged URN is equal to another
+   *
+   * @param {TaggedUrn} other - The other tagged URN to compare with
+   * @returns {boolean} Whether the tagged URNs are equal
+   */
+  equals(other) {
+    if (!other || !(other instanceof TaggedUrn)) {
+      return false;
+    }
+
+    if (this === other) {
+      return true;
+    }
+
+    if (this.prefix !== other.prefix) {
+      return false;
+    }
+
+    const thisKeys = tagKeys(this.tags);
+    const otherKeys = tagKeys(other.tags);
+
+    if (thisKeys.length !== otherKeys.length) {
+      return false;
+    }
+
+    for (let i = 0; i < thisKeys.length; i++) {
+      if (thisKeys[i] !== otherKeys[i]) {
+        return false;
+      }
+      if (this.tags._store[thisKeys[i]] !== other.tags._store[otherKeys[i]]) {
+        return false;
       }
+    }
 
-      // Validate key cannot be purely numeric
-      if (/^\d+$/.test(currentKey)) {
-        throw new TaggedUrnError(ErrorCodes.NUMERIC_KEY, `Tag key cannot be purely numeric: ${currentKey}`);
+    return true;
+  }
+
+  /**
+   * Get a stable 64-bit hash of this tagged URN
+   *
+   * FNV-1a 64 over the UTF-8 bytes of the canonical string, as 16 lowercase
+   * hex digits. Consistent with equals: equal URNs always hash the same.
+   * Lone surrogates are hashed as their WTF-8 bytes, never as U+FFFD.
+   *
+   * @returns {string} 16 hex digits
+   */
+  hash() {
+    return fnv1a64(wtf8Bytes(this.toString()));
+  }
+
+  /**
+   * Get a SHA-256 digest of this tagged URN
+   *
+   * SHA-256 over the UTF-8 bytes of the canonical string, as 64 lowercase
+   * hex digits. Consistent with equals, and suitable where collisions must
+   * be practically impossible. Bytes are as for hash().
+   *
+   * @returns {string} 64 hex digits
+   */
+  digest() {
+    return sha256(wtf8Bytes(this.toString()));
+  }
+}
+
+/**
+ * Compare two strings by Unicode code point (UTF-16 order differs above U+FFFF)
+ * @private
+ */
+function compareCodePoints(a, b) {
+  const left = a[Symbol.iterator]();
+  const right = b[Symbol.iterator]();
+  for (;;) {
+    const x = left.next();
+    const y = right.next();
+    if (x.done || y.done) {
+      return (x.done ? 0 : 1) - (y.done ? 0 : 1);
+    }
+    if (x.value !== y.value) {
+      return x.value.codePointAt(0) - y.value.codePointAt(0);
+    }
+  }
+}
+
+/**
+ * Compare specificity tuples, higher first
+ * @private
+ */
+function compareTuplesDescending(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return b[i] - a[i];
+    }
+  }
+  return 0;
+}
+
+// Default grades for the weighted strategy: the specificity scores
+const DEFAULT_GRADES = Object.freeze({ exact: 3, mustHaveAny: 2, mustNot: 1 });
+
+/**
+ * Resolve one key's weight entry to { exact, mustHaveAny, mustNot }
+ *
+ * A number scales the default grades; an object overrides some of them.
+ *
+ * @private
+ */
+function resolveGrades(entry, defaults, where) {
+  if (typeof entry === 'number' && Number.isFinite(entry)) {
+    return { exact: defaults.exact * entry, mustHaveAny: defaults.mustHaveAny * entry, mustNot: defaults.mustNot * entry };
+  }
+  if (entry && typeof entry === 'object') {
+    const grades = { ...defaults };
+    for (const grade of Object.keys(entry)) {
+      if (!(grade in DEFAULT_GRADES) || typeof entry[grade] !== 'number' || !Number.isFinite(entry[grade])) {
+        throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `invalid weight '${grade}' for ${where}: grades are exact, mustHaveAny and mustNot numbers`);
       }
+      grades[grade] = entry[grade];
+    }
+    return grades;
+  }
+  throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `invalid weight for ${where}: expected a number or a grades object`);
+}
 
-      tags[currentKey] = currentValue;
-      currentKey = '';
-      currentValue = '';
-    };
+/**
+ * Built-in ranking strategies for UrnMatcher and UrnIndex
+ *
+ * A strategy is an object with:
+ * - score(urn): the number reported for each match
+ * - compare(a, b): orders two { urn, score, index } results (negative if a ranks first)
+ * Results the strategy leaves tied are ordered by canonical form, so the
+ * outcome never depends on input order; strict matching reports such ties.
+ */
+const RankingStrategies = Object.freeze({
+  /**
+   * Highest specificity first, then by specificity tuple (the default)
+   */
+  mostSpecific: Object.freeze({
+    score: urn => urn.specificity(),
+    compare: (a, b) => (b.score - a.score) || compareTuplesDescending(a.urn.specificityTuple(), b.urn.specificityTuple())
+  }),
 
-    while (pos < chars.length) {
-      const c = chars[pos];
-
-      switch (state) {
-        case ParseState.EXPECTING_KEY:
-          if (c === ';') {
-            // Empty segment, skip
-            pos++;
-            continue;
-          } else if (isValidKeyChar(c)) {
-            currentKey += c.toLowerCase();
-            state = ParseState.IN_KEY;
-          } else {
-            throw new TaggedUrnError(ErrorCodes.INVALID_CHARACTER, `invalid character '${c}' at position ${pos}`);
-          }
-          break;
+  /**
+   * Lowest specificity first, then by specificity tuple (the most general capability wins)
+   */
+  leastSpecific: Object.freeze({
+    score: urn => urn.specificity(),
+    compare: (a, b) => (a.score - b.score) || compareTuplesDescending(b.urn.specificityTuple(), a.urn.specificityTuple())
+  }),
 
-        case ParseState.IN_KEY:
-          if (c === '=') {
-            if (currentKey === '') {
-              throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, 'empty key');
-            }
-            state = ParseState.EXPECTING_VALUE;
-          } else if (c === ';') {
-            // Value-less tag: treat as wildcard
-            if (currentKey === '') {
-              throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, 'empty key');
-            }
-            currentValue = '*';
-            finishTag();
-            state = ParseState.EXPECTING_KEY;
-          } else if (isValidKeyChar(c)) {
-            currentKey += c.toLowerCase();
-          } else {
-            throw new TaggedUrnError(ErrorCodes.INVALID_CHARACTER, `invalid character '${c}' in key at position ${pos}`);
-          }
-          break;
+  /**
+   * Earliest registered (lowest index) first; the score is still the specificity
+   */
+  registrationPriority: Object.freeze({
+    score: urn => urn.specificity(),
+    compare: (a, b) => a.index - b.index
+  }),
 
-        case ParseState.EXPECTING_VALUE:
-          if (c === '"') {
-            state = ParseState.IN_QUOTED_VALUE;
-          } else if (c === ';') {
-            throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, `empty value for key '${currentKey}'`);
-          } else if (isValidUnquotedValueChar(c)) {
-            currentValue += c.toLowerCase();
-            state = ParseState.IN_UNQUOTED_VALUE;
-          } else {
-            throw new TaggedUrnError(ErrorCodes.INVALID_CHARACTER, `invalid character '${c}' in value at position ${pos}`);
-          }
-          break;
+  /**
+   * Highest weighted score first, with per-prefix, per-key grades
+   *
+   * Each tag scores its key's grade for its value: exact value, '*' (mustHaveAny)
+   * or '!' (mustNot); '?' scores 0. Keys without a weight use the default grades.
+   *
+   * @param {Object} weights - { [prefix]: { [key]: number | { exact, mustHaveAny, mustNot } } };
+   *   a number scales the default grades
+   * @param {Object} [defaults] - Grades for unlisted keys (default 3/2/1)
+   * @returns {Object} The strategy
+   * @throws {TaggedUrnError} If a weight is malformed
+   */
+  weighted(weights, defaults = DEFAULT_GRADES) {
+    const base = resolveGrades(defaults, DEFAULT_GRADES, 'defaults');
+    const table = new Map();
+    for (const prefix of Object.keys(weights || {})) {
+      const keys = new Map();
+      for (const key of Object.keys(weights[prefix])) {
+        keys.set(normalizeKey(key), resolveGrades(weights[prefix][key], base, `'${prefix}:${key}'`));
+      }
+      table.set(normalizePrefix(prefix), keys);
+    }
 
-        case ParseState.IN_UNQUOTED_VALUE:
-          if (c === ';') {
-            finishTag();
-            state = ParseState.EXPECTING_KEY;
-          } else if (isValidUnquotedValueChar(c)) {
-            currentValue += c.toLowerCase();
-          } else {
-            throw new TaggedUrnError(ErrorCodes.INVALID_CHARACTER, `invalid character '${c}' in unquoted value at position ${pos}`);
+    return Object.freeze({
+      score(urn) {
+        const keys = table.get(urn.prefix);
+        let score = 0;
+        for (const [key, value] of urn.tags) {
+          const grades = (keys && keys.get(key)) || base;
+          if (value === '*') {
+            score += grades.mustHaveAny;
+          } else if (value === '!') {
+            score += grades.mustNot;
+          } else if (value !== '?') {
+            score += grades.exact;
           }
-          break;
+        }
+        return score;
+      },
+      compare: (a, b) => b.score - a.score
+    });
+  }
+});
 
-        case ParseState.IN_QUOTED_VALUE:
-          if (c === '"') {
-            state = ParseState.EXPECTING_SEMI_OR_END;
-          } else if (c === '\\') {
-            state = ParseState.IN_QUOTED_VALUE_ESCAPE;
-          } else {
-            // Any character allowed in quoted value, preserve case
-            currentValue += c;
-          }
-          break;
+/**
+ * Resolve the ranking option of a match call to a strategy
+ *
+ * @param {Object} [options] - { ranking }: a strategy, or a compare(a, b) function over
+ *   { urn, score, index } results scored by specificity
+ * @returns {Object} The strategy
+ * @throws {TaggedUrnError} If the ranking option is not a strategy or function
+ * @private
+ */
+function resolveRanking(options) {
+  const ranking = options && options.ranking;
+  if (ranking === undefined) {
+    return RankingStrategies.mostSpecific;
+  }
+  if (typeof ranking === 'function') {
+    return { score: RankingStrategies.mostSpecific.score, compare: ranking };
+  }
+  if (ranking && typeof ranking.score === 'function' && typeof ranking.compare === 'function') {
+    return ranking;
+  }
+  throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'ranking must be a strategy ({ score, compare }) or a compare function');
+}
 
-        case ParseState.IN_QUOTED_VALUE_ESCAPE:
-          if (c === '"' || c === '\\') {
-            currentValue += c;
-            state = ParseState.IN_QUOTED_VALUE;
-          } else {
-            throw new TaggedUrnError(ErrorCodes.INVALID_ESCAPE_SEQUENCE, `invalid escape sequence at position ${pos} (only \\" and \\\\ allowed)`);
-          }
-          break;
+/**
+ * Score matches and sort them by a strategy, then by canonical form
+ *
+ * @param {Array<{urn: TaggedUrn, index: number}>} matches - Matching URNs and their positions
+ * @param {Object} strategy - Ranking strategy
+ * @returns {Array<{urn: TaggedUrn, score: number, index: number}>} Results in match order
+ * @private
+ */
+function rankMatches(matches, strategy) {
+  const results = matches.map(({ urn, index }) => ({ urn, score: strategy.score(urn), index }));
+  const canonical = new Map();
+  const canonicalOf = (urn) => {
+    let s = canonical.get(urn);
+    if (s === undefined) {
+      s = urn.toString();
+      canonical.set(urn, s);
+    }
+    return s;
+  };
+  results.sort((a, b) => strategy.compare(a, b) || compareCodePoints(canonicalOf(a.urn), canonicalOf(b.urn)));
+  return results;
+}
 
-        case ParseState.EXPECTING_SEMI_OR_END:
-          if (c === ';') {
-            finishTag();
-            state = ParseState.EXPECTING_KEY;
-          } else {
-            throw new TaggedUrnError(ErrorCodes.INVALID_CHARACTER, `expected ';' or end after quoted value, got '${c}' at position ${pos}`);
-          }
-          break;
+/**
+ * First result rankMatches would return, found in one pass
+ *
+ * Canonical forms are only computed for results the strategy leaves tied
+ * with the current best.
+ *
+ * @param {Array<{urn: TaggedUrn, index: number}>} matches - Matching URNs and their positions
+ * @param {Object} strategy - Ranking strategy
+ * @returns {TaggedUrn|null}
+ * @private
+ */
+function bestMatch(matches, strategy) {
+  let best = null;
+  let bestCanonical;
+  for (const { urn, index } of matches) {
+    const result = { urn, score: strategy.score(urn), index };
+    if (best === null) {
+      best = result;
+      bestCanonical = undefined;
+      continue;
+    }
+    const order = strategy.compare(result, best);
+    if (order > 0) {
+      continue;
+    }
+    if (order === 0) {
+      if (bestCanonical === undefined) {
+        bestCanonical = best.urn.toString();
+      }
+      const canonical = urn.toString();
+      if (compareCodePoints(canonical, bestCanonical) >= 0) {
+        continue;
       }
+      best = result;
+      bestCanonical = canonical;
+    } else {
+      best = result;
+      bestCanonical = undefined;
+    }
+  }
+  return best ? best.urn : null;
+}
 
-      pos++;
+/**
+ * Best match for a strategy, failing if distinct URNs tie under it
+ *
+ * @param {Array<Object>} results - Ranked results (see rankMatches)
+ * @param {Object} strategy - Ranking strategy
+ * @param {TaggedUrn} request - The request, for the error message
+ * @returns {TaggedUrn|null}
+ * @throws {TaggedUrnError} AMBIGUOUS_MATCH with the tied URNs as candidates
+ * @private
+ */
+function strictBestMatch(results, strategy, request) {
+  if (results.length === 0) {
+    return null;
+  }
+  const candidates = [results[0].urn];
+  for (let i = 1; i < results.length && strategy.compare(results[i], results[0]) === 0; i++) {
+    if (!results[i].urn.equals(candidates[candidates.length - 1])) {
+      candidates.push(results[i].urn);
     }
+  }
+  if (candidates.length > 1) {
+    throw new TaggedUrnError(
+      ErrorCodes.AMBIGUOUS_MATCH,
+      `Ambiguous match for '${request}': ${candidates.length} candidates tie on ranking: ${candidates.join(', ')}`,
+      { candidates }
+    );
+  }
+  return candidates[0];
+}
 
-    // Handle end of input
-    switch (state) {
-      case ParseState.IN_UNQUOTED_VALUE:
-      case ParseState.EXPECTING_SEMI_OR_END:
-        finishTag();
-        break;
-      case ParseState.EXPECTING_KEY:
-        // Valid - trailing semicolon or empty input after prefix
-        break;
-      case ParseState.IN_QUOTED_VALUE:
-      case ParseState.IN_QUOTED_VALUE_ESCAPE:
-        throw new TaggedUrnError(ErrorCodes.UNTERMINATED_QUOTE, `unterminated quote at position ${pos}`);
-      case ParseState.IN_KEY:
-        // Value-less tag at end: treat as wildcard
-        if (currentKey === '') {
-          throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, 'empty key');
-        }
-        currentValue = '*';
-        finishTag();
-        break;
-      case ParseState.EXPECTING_VALUE:
-        throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, `empty value for key '${currentKey}'`);
+/**
+ * Tagged URN Builder for fluent construction
+ */
+class TaggedUrnBuilder {
+  /**
+   * Create a new builder with a specified prefix (required)
+   * @param {string} prefix - The prefix to use
+   * @throws {TaggedUrnError} If the prefix is invalid
+   */
+  constructor(prefix) {
+    this._prefix = normalizePrefix(prefix);
+    this.tags = createTags();
+  }
+
+  /**
+   * Add or update a tag
+   * Key is normalized to lowercase; value is preserved as-is
+   *
+   * @param {string} key - The tag key
+   * @param {string} value - The tag value
+   * @returns {TaggedUrnBuilder} This builder instance for chaining
+   * @throws {TaggedUrnError} If the key is invalid or the value is empty
+   */
+  tag(key, value) {
+    checkValue(key, value);
+    this.tags[normalizeKey(key)] = value;
+    return this;
+  }
+
+  /**
+   * Add a tag with wildcard value (*)
+   * @param {string} key - The tag key
+   * @returns {TaggedUrnBuilder} This builder for chaining
+   * @throws {TaggedUrnError} If the key is invalid
+   */
+  soloTag(key) {
+    this.tags[normalizeKey(key)] = '*';
+    return this;
+  }
+
+  /**
+   * Build the final TaggedUrn
+   *
+   * @returns {TaggedUrn} A new TaggedUrn instance
+   * @throws {TaggedUrnError} If no tags have been added
+   */
+  build() {
+    if (Object.keys(this.tags).length === 0) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'Tagged URN cannot be empty');
     }
+    return new TaggedUrn(this._prefix, this.tags, true);
+  }
 
-    return new TaggedUrn(prefix, tags, true);
+  /**
+   * Build the final TaggedUrn, allowing empty tags
+   *
+   * @returns {TaggedUrn} A new TaggedUrn instance
+   */
+  buildAllowEmpty() {
+    return new TaggedUrn(this._prefix, this.tags, true);
   }
+}
 
+/**
+ * URN Matcher utility class
+ */
+class UrnMatcher {
   /**
-   * Create an empty Tagged URN with the specified prefix (required)
-   * @param {string} prefix - The prefix to use
-   * @returns {TaggedUrn} An empty TaggedUrn instance
+   * Find the most specific URN that conforms to a request's constraints.
+   * URNs are instances (capabilities), request is the pattern (requirement).
+   *
+   * By default ties on specificity are broken by the specificity tuple
+   * (exact, mustHaveAny, mustNot), then by canonical form, so the result
+   * does not depend on the order of urns.
+   *
+   * @param {TaggedUrn[]} urns - Array of available URNs
+   * @param {TaggedUrn} request - The request to match
+   * @param {Object} [options]
+   * @param {Object|Function} [options.ranking] - A RankingStrategies entry, a custom
+   *   { score, compare } strategy, or a compare function (default mostSpecific)
+   * @param {boolean} [options.closed] - Closed-world matching, as for TaggedUrn#conformsTo
+   * @param {string[]} [options.ignoreKeys] - Keys allowed without a mention when closed
+   * @returns {TaggedUrn|null} The best matching URN or null if no match
+   * @throws {TaggedUrnError} If prefixes don't match
    */
-  static empty(prefix) {
-    return new TaggedUrn(prefix, {}, true);
+  static findBestMatch(urns, request, options) {
+    return bestMatch(UrnMatcher._matches(urns, request, options), resolveRanking(options));
   }
 
   /**
-   * Parse a URN string and return its canonical form.
+   * Like findBestMatch, but fail instead of picking between distinct URNs
+   * that the ranking leaves tied
    *
-   * @param {string} urnStr - The URN string to canonicalize
-   * @returns {string} The canonical string representation
-   * @throws {TaggedUrnError} If parsing fails
+   * @param {TaggedUrn[]} urns - Array of available URNs
+   * @param {TaggedUrn} request - The request to match
+   * @param {Object} [options] - As for findBestMatch
+   * @returns {TaggedUrn|null} The best matching URN or null if no match
+   * @throws {TaggedUrnError} If prefixes don't match, or AMBIGUOUS_MATCH (with candidates) on a tie
    */
-  static canonical(urnStr) {
-    return TaggedUrn.fromString(urnStr).toString();
+  static findBestMatchStrict(urns, request, options) {
+    const strategy = resolveRanking(options);
+    return strictBestMatch(rankMatches(UrnMatcher._matches(urns, request, options), strategy), strategy, request);
   }
 
   /**
-   * Parse a URN string and return its canonical form, or null if input is null/undefined.
+   * Find all URNs that conform to a request's constraints, sorted by ranking.
+   * URNs are instances (capabilities), request is the pattern (requirement).
    *
-   * @param {string|null|undefined} urnStr - The URN string to canonicalize
-   * @returns {string|null} The canonical string representation, or null
-   * @throws {TaggedUrnError} If parsing fails (for non-null input)
+   * @param {TaggedUrn[]} urns - Array of available URNs
+   * @param {TaggedUrn} request - The request to match
+   * @param {Object} [options]
+   * @param {Object|Function} [options.ranking] - As for findBestMatch
+   * @param {boolean} [options.withScores] - Return { urn, score, index } results
+   *   (index is the position in urns) instead of URNs
+   * @returns {TaggedUrn[]|Object[]} Matches in findBestMatch order
+   * @throws {TaggedUrnError} If prefixes don't match
    */
-  static canonicalOption(urnStr) {
-    if (urnStr === null || urnStr === undefined) return null;
-    return TaggedUrn.fromString(urnStr).toString();
+  static findAllMatches(urns, request, options) {
+    const results = rankMatches(UrnMatcher._matches(urns, request, options), resolveRanking(options));
+    return options && options.withScores ? results : results.map(result => result.urn);
   }
 
   /**
-   * Get the prefix of this tagged URN
-   * @returns {string} The prefix
+   * URNs conforming to a request, with their positions
+   * @private
    */
-  getPrefix() {
-    return this.prefix;
+  static _matches(urns, request, options) {
+    const matches = [];
+    urns.forEach((urn, index) => {
+      if (urn.conformsTo(request, options)) {
+        matches.push({ urn, index });
+      }
+    });
+    return matches;
   }
 
   /**
-   * Get the canonical string representation of this tagged URN
-   * Uses the stored prefix
-   * Tags are sorted alphabetically for consistent representation
-   * No trailing semicolon in canonical form
-   * Values are quoted only when necessary (smart quoting)
-   * Special value serialization:
-   * - * (must-have-any): serialized as value-less tag (just the key)
-   * - ? (unspecified): serialized as key=?
-   * - ! (must-not-have): serialized as key=!
+   * Check if two URN sets are compatible
+   * All URNs in both sets must have the same prefix
    *
-   * @returns {string} The canonical string representation
+   * @param {TaggedUrn[]} urns1 - First set of URNs
+   * @param {TaggedUrn[]} urns2 - Second set of URNs
+   * @param {Object} [options] - Closed-world options, as for TaggedUrn#accepts
+   * @returns {boolean} Whether any URNs from the two sets are compatible
+   * @throws {TaggedUrnError} If prefixes don't match
    */
-  toString() {
-    if (Object.keys(this.tags).length === 0) {
-      return `${this.prefix}:`;
+  static areCompatible(urns1, urns2, options) {
+    for (const u1 of urns1) {
+      for (const u2 of urns2) {
+        if (u1.accepts(u2, options) || u2.accepts(u1, options)) {
+          return true;
+        }
+      }
     }
+    return false;
+  }
 
-    // Sort keys for canonical representation
-    const sortedKeys = Object.keys(this.tags).sort();
-
-    // Build tag string with smart quoting
-    const tagParts = sortedKeys.map(key => {
-      const value = this.tags[key];
-      switch (value) {
-        case '*':
-          // Valueless sugar: key
-          return key;
-        case '?':
-          // Explicit: key=?
-          return `${key}=?`;
-        case '!':
-          // Explicit: key=!
-          return `${key}=!`;
-        default:
-          if (needsQuoting(value)) {
-            return `${key}=${quoteValue(value)}`;
-          } else {
-            return `${key}=${value}`;
-          }
+  /**
+   * Relate every URN of one set to every URN of another, as patterns
+   *
+   * Unlike areCompatible, pairs that overlap without either accepting the
+   * other count as compatible, and each pair says how its sides relate.
+   *
+   * @param {TaggedUrn[]} urns1 - Left set of URNs
+   * @param {TaggedUrn[]} urns2 - Right set of URNs
+   * @returns {Object} { compatible, pairs: [{ left, right, relation, intersection, conflicts }] }
+   *   with one pair per (urns1, urns2) combination, in input order. relation is a
+   *   CompatibilityRelation of left to right; intersection is the pattern both accept
+   *   (TaggedUrn.intersect), or null with the conflicting keys when disjoint.
+   *   compatible is true when any pair is not disjoint.
+   * @throws {TaggedUrnError} If prefixes don't match
+   */
+  static compatibilityReport(urns1, urns2) {
+    const pairs = [];
+    let compatible = false;
+    for (const left of urns1) {
+      for (const right of urns2) {
+        const relation = COMPATIBILITY_BY_PATTERN_RELATION[left.relationTo(right)];
+        const { urn, conflicts } = TaggedUrn.intersect(left, right);
+        if (relation !== CompatibilityRelation.DISJOINT) {
+          compatible = true;
+        }
+        pairs.push({ left, right, relation, intersection: urn, conflicts });
       }
-    });
+    }
+    return { compatible, pairs };
+  }
+}
 
-    return `${this.prefix}:${tagParts.join(';')}`;
+/**
+ * Registry of URNs (capabilities) with inverted indexes for request matching
+ *
+ * Entries are indexed by key and by key=value, so a request with an exact
+ * or must-have-any tag only checks the entries that can satisfy that tag.
+ * Results are identical to UrnMatcher over the entries, including
+ * PREFIX_MISMATCH when any entry has another prefix.
+ */
+class UrnIndex {
+  /**
+   * @param {Iterable<TaggedUrn>} [urns] - Initial entries, in registration order
+   */
+  constructor(urns) {
+    this._entries = new Map();
+    this._nextId = 0;
+    this._byKey = new Map();
+    this._byKeyValue = new Map();
+    this._byCanonical = new Map();
+    this._prefixCounts = new Map();
+    if (urns) {
+      for (const urn of urns) {
+        this.add(urn);
+      }
+    }
   }
 
   /**
-   * Get the value of a specific tag
-   * Key is normalized to lowercase for lookup
-   *
-   * @param {string} key - The tag key
-   * @returns {string|undefined} The tag value or undefined if not found
+   * Number of registered entries
+   * @returns {number}
    */
-  getTag(key) {
-    return this.tags[key.toLowerCase()];
+  get size() {
+    return this._entries.size;
   }
 
   /**
-   * Check if this URN has a specific tag with a specific value
-   * Key is normalized to lowercase; value comparison is case-sensitive
+   * Register a URN; registering an equal URN again adds another entry, as in an array
    *
-   * @param {string} key - The tag key
-   * @param {string} value - The tag value to check
-   * @returns {boolean} Whether the tag exists with the specified value
+   * @param {TaggedUrn} urn - The URN to register
+   * @returns {UrnIndex} This index
+   * @throws {TaggedUrnError} If urn is not a TaggedUrn
    */
-  hasTag(key, value) {
-    const tagValue = this.tags[key.toLowerCase()];
-    return tagValue !== undefined && tagValue === value;
+  add(urn) {
+    if (!(urn instanceof TaggedUrn)) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'UrnIndex entries must be TaggedUrn instances');
+    }
+    const id = this._nextId++;
+    this._entries.set(id, urn);
+    for (const [key, value] of urn.tags) {
+      indexAdd(this._byKey, key, id);
+      indexAdd(this._byKeyValue, `${key}=${value}`, id);
+    }
+    indexAdd(this._byCanonical, urn.toString(), id);
+    this._prefixCounts.set(urn.prefix, (this._prefixCounts.get(urn.prefix) || 0) + 1);
+    return this;
   }
 
   /**
-   * Create a new tagged URN with an added or updated tag
-   * Key is normalized to lowercase; value is preserved as-is
+   * Unregister every entry equal to a URN
    *
-   * @param {string} key - The tag key
-   * @param {string} value - The tag value
-   * @returns {TaggedUrn} A new TaggedUrn instance with the tag added/updated
+   * @param {TaggedUrn} urn - The URN to remove
+   * @returns {boolean} Whether any entry was removed
    */
-  withTag(key, value) {
-    if (value === '' || value === undefined || value === null) {
-      throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, `empty value for key '${key}' (use '*' for wildcard)`);
+  remove(urn) {
+    const canonical = urn.toString();
+    const ids = this._byCanonical.get(canonical);
+    if (!ids) {
+      return false;
     }
-    const newTags = { ...this.tags };
-    newTags[key.toLowerCase()] = value;
-    return new TaggedUrn(this.prefix, newTags, true);
+    for (const id of ids) {
+      const entry = this._entries.get(id);
+      this._entries.delete(id);
+      for (const [key, value] of entry.tags) {
+        indexRemove(this._byKey, key, id);
+        indexRemove(this._byKeyValue, `${key}=${value}`, id);
+      }
+      const count = this._prefixCounts.get(entry.prefix) - 1;
+      if (count === 0) {
+        this._prefixCounts.delete(entry.prefix);
+      } else {
+        this._prefixCounts.set(entry.prefix, count);
+      }
+    }
+    this._byCanonical.delete(canonical);
+    return true;
   }
 
   /**
-   * Create a new tagged URN with a tag removed
-   * Key is normalized to lowercase for case-insensitive removal
-   *
-   * @param {string} key - The tag key to remove
-   * @returns {TaggedUrn} A new TaggedUrn instance with the tag removed
+   * Remove all entries
    */
-  withoutTag(key) {
-    const newTags = { ...this.tags };
-    delete newTags[key.toLowerCase()];
-    return new TaggedUrn(this.prefix, newTags, true);
+  clear() {
+    this._entries.clear();
+    this._byKey.clear();
+    this._byKeyValue.clear();
+    this._byCanonical.clear();
+    this._prefixCounts.clear();
   }
 
   /**
-   * Check if this URN (instance) satisfies the pattern's constraints.
-   * Equivalent to pattern.accepts(this).
-   *
-   * IMPORTANT: Both URNs must have the same prefix. Comparing URNs with
-   * different prefixes is a programming error and will throw an error.
-   *
-   * @param {TaggedUrn} pattern - The pattern URN to match against
-   * @returns {boolean} Whether this instance conforms to the pattern
-   * @throws {TaggedUrnError} If prefixes don't match
+   * Iterate over the entries in registration order
+   * @returns {Iterator<TaggedUrn>}
    */
-  conformsTo(pattern) {
-    if (!pattern) {
-      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot match against null pattern');
-    }
-    return TaggedUrn._checkMatch(this.tags, this.prefix, pattern.tags, pattern.prefix);
+  [Symbol.iterator]() {
+    return this._entries.values();
   }
 
   /**
-   * Check if this URN (pattern) accepts the given instance.
-   * Equivalent to instance.conformsTo(this).
+   * Find the most specific entry that conforms to a request
+   * Same result as UrnMatcher.findBestMatch over the entries.
    *
-   * @param {TaggedUrn} instance - The instance URN to test
-   * @returns {boolean} Whether the pattern accepts the instance
-   * @throws {TaggedUrnError} If prefixes don't match
+   * @param {TaggedUrn} request - The request to match
+   * @param {Object} [options] - As for UrnMatcher.findBestMatch
+   * @returns {TaggedUrn|null} The best matching URN or null if no match
+   * @throws {TaggedUrnError} If any entry's prefix differs from the request's
    */
-  accepts(instance) {
-    if (!instance) {
-      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot match against null instance');
-    }
-    return TaggedUrn._checkMatch(instance.tags, instance.prefix, this.tags, this.prefix);
+  findBestMatch(request, options) {
+    return bestMatch(this._matches(request, options), resolveRanking(options));
   }
 
   /**
-   * Check if this URN (instance) satisfies the pattern string's constraints.
-   * Parses the pattern string then calls conformsTo().
+   * Same result as UrnMatcher.findBestMatchStrict over the entries
    *
-   * @param {string} patternStr - The pattern URN string to match against
-   * @returns {boolean} Whether this instance conforms to the pattern
-   * @throws {TaggedUrnError} If parsing fails or prefixes don't match
+   * @param {TaggedUrn} request - The request to match
+   * @param {Object} [options] - As for UrnMatcher.findBestMatch
+   * @returns {TaggedUrn|null} The best matching URN or null if no match
+   * @throws {TaggedUrnError} If any entry's prefix differs from the request's, or AMBIGUOUS_MATCH on a tie
    */
-  conformsToStr(patternStr) {
-    const pattern = TaggedUrn.fromString(patternStr);
-    return this.conformsTo(pattern);
+  findBestMatchStrict(request, options) {
+    const strategy = resolveRanking(options);
+    return strictBestMatch(rankMatches(this._matches(request, options), strategy), strategy, request);
   }
 
   /**
-   * Check if this URN (pattern) accepts the given instance string.
-   * Parses the instance string then calls accepts().
+   * Find all entries that conform to a request
+   * Same result as UrnMatcher.findAllMatches over the entries.
    *
-   * @param {string} instanceStr - The instance URN string to test
-   * @returns {boolean} Whether the pattern accepts the instance
-   * @throws {TaggedUrnError} If parsing fails or prefixes don't match
+   * @param {TaggedUrn} request - The request to match
+   * @param {Object} [options] - As for UrnMatcher.findAllMatches; with withScores,
+   *   index is the entry's registration sequence number
+   * @returns {TaggedUrn[]|Object[]} Matches in match order
+   * @throws {TaggedUrnError} If any entry's prefix differs from the request's
    */
-  acceptsStr(instanceStr) {
-    const instance = TaggedUrn.fromString(instanceStr);
-    return this.accepts(instance);
+  findAllMatches(request, options) {
+    const results = rankMatches(this._matches(request, options), resolveRanking(options));
+    return options && options.withScores ? results : results.map(result => result.urn);
   }
 
   /**
-   * Core matching: does instance satisfy pattern's constraints?
+   * Entries conforming to a request with their ids, in registration order
    * @private
    */
-  static _checkMatch(instanceTags, instancePrefix, patternTags, patternPrefix) {
-    if (instancePrefix !== patternPrefix) {
-      throw new TaggedUrnError(
-        ErrorCodes.PREFIX_MISMATCH,
-        `Cannot compare URNs with different prefixes: '${instancePrefix}' vs '${patternPrefix}'`
-      );
+  _matches(request, options) {
+    if (this._entries.size === 0) {
+      return [];
+    }
+    if (!request) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot match against null pattern');
+    }
+    if (this._prefixCounts.size > 1 || !this._prefixCounts.has(request.prefix)) {
+      // The linear scan fails on the first entry with another prefix
+      for (const urn of this._entries.values()) {
+        if (urn.prefix !== request.prefix) {
+          throw prefixMismatch(urn.prefix, request.prefix);
+        }
+      }
     }
 
-    const allKeys = new Set([...Object.keys(instanceTags), ...Object.keys(patternTags)]);
-
-    for (const key of allKeys) {
-      const inst = instanceTags[key];
-      const patt = patternTags[key];
-
-      if (!valuesMatch(inst, patt)) {
-        return false;
+    const matches = request.compile(options);
+    const candidates = this._candidates(request);
+    const ids = candidates ? [...candidates].sort((a, b) => a - b) : this._entries.keys();
+    const results = [];
+    for (const id of ids) {
+      const urn = this._entries.get(id);
+      if (matches(urn)) {
+        results.push({ urn, index: id });
       }
     }
-    return true;
+    return results;
   }
 
   /**
-   * Calculate specificity score for URN matching
-   * More specific URNs have higher scores and are preferred
-   * Graded scoring:
-   * - K=v (exact value): 3 points (most specific)
-   * - K=* (must-have-any): 2 points
-   * - K=! (must-not-have): 1 point
-   * - K=? (unspecified): 0 points (least specific)
+   * Smallest candidate id set implied by one of the request's positive tags
    *
-   * @returns {number} The specificity score
+   * An exact tag K=v can only be met by entries with K=v, K=? or K=*; a
+   * must-have-any tag K=* only by entries that have K with a value other
+   * than '!'. Returns null when the request has no such tag.
+   *
+   * @private
    */
-  specificity() {
-    let score = 0;
-    for (const value of Object.values(this.tags)) {
-      switch (value) {
-        case '?':
-          score += 0;
-          break;
-        case '!':
-          score += 1;
-          break;
-        case '*':
-          score += 2;
-          break;
-        default:
-          score += 3; // exact value
+  _candidates(request) {
+    let best = null;
+    let bestSize = Infinity;
+    for (const [key, value] of request.tags) {
+      let sets;
+      if (value === '*') {
+        sets = [this._byKey.get(key)];
+      } else if (value !== '?' && value !== '!') {
+        sets = [`${key}=${value}`, `${key}=?`, `${key}=*`].map(k => this._byKeyValue.get(k));
+      } else {
+        continue;
+      }
+      const size = sets.reduce((total, set) => total + (set ? set.size : 0), 0);
+      if (size < bestSize) {
+        best = sets;
+        bestSize = size;
+      }
+    }
+    if (!best) {
+      return null;
+    }
+    const candidates = new Set();
+    for (const set of best) {
+      if (set) {
+        for (const id of set) {
+          candidates.add(id);
+        }
+      }
+    }
+    return candidates;
+  }
+}
+
+/**
+ * Add an id to the set stored under a key
+ * @private
+ */
+function indexAdd(index, key, id) {
+  let ids = index.get(key);
+  if (!ids) {
+    ids = new Set();
+    index.set(key, ids);
+  }
+  ids.add(id);
+}
+
+/**
+ * Remove an id from the set stored under a key, dropping empty sets
+ * @private
+ */
+function indexRemove(index, key, id) {
+  const ids = index.get(key);
+  ids.delete(id);
+  if (ids.size === 0) {
+    index.delete(key);
+  }
+}
+
+/**
+ * Resolve a collection key to a URN and its canonical string
+ *
+ * @param {TaggedUrn|string} key - A URN or a URN string
+ * @returns {Array} [urn, canonical]
+ * @throws {TaggedUrnError} If the key is neither a URN nor a valid URN string
+ * @private
+ */
+function resolveUrnKey(key) {
+  if (key instanceof TaggedUrn) {
+    return [key, key.toString()];
+  }
+  if (typeof key === 'string') {
+    const urn = TaggedUrn.fromString(key);
+    return [urn, urn.toString()];
+  }
+  throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'collection key must be a TaggedUrn or a URN string');
+}
+
+/**
+ * Map keyed by URN equality rather than object identity
+ *
+ * Keys may be given as TaggedUrn instances or URN strings; two keys are the
+ * same entry when their canonical forms are equal (see TaggedUrn.equals).
+ * The URN first used for an entry is kept as its key.
+ */
+class UrnMap {
+  /**
+   * @param {Iterable<Array>} [entries] - Initial [key, value] pairs
+   */
+  constructor(entries) {
+    this._entries = new Map();
+    if (entries) {
+      for (const [key, value] of entries) {
+        this.set(key, value);
       }
     }
-    return score;
   }
 
   /**
-   * Get specificity as a tuple for tie-breaking
-   * Returns [exact_count, must_have_any_count, must_not_count]
-   * Compare tuples lexicographically when sum scores are equal
-   *
-   * @returns {number[]} The specificity tuple [exact, mustHaveAny, mustNot]
+   * Number of entries
+   * @returns {number}
    */
-  specificityTuple() {
-    let exact = 0;
-    let mustHaveAny = 0;
-    let mustNot = 0;
-    for (const value of Object.values(this.tags)) {
-      switch (value) {
-        case '?':
-          // 0 points, not counted
-          break;
-        case '!':
-          mustNot++;
-          break;
-        case '*':
-          mustHaveAny++;
-          break;
-        default:
-          exact++;
-      }
-    }
-    return [exact, mustHaveAny, mustNot];
+  get size() {
+    return this._entries.size;
   }
 
   /**
-   * Check if this URN is more specific than another
+   * Get the value stored for a URN
    *
-   * @param {TaggedUrn} other - The other URN to compare with
-   * @returns {boolean} Whether this URN is more specific
-   * @throws {TaggedUrnError} If prefixes don't match
+   * @param {TaggedUrn|string} key - The URN to look up
+   * @returns {*} The value, or undefined if absent
    */
-  isMoreSpecificThan(other) {
-    if (!other) {
-      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot compare against null URN');
-    }
+  get(key) {
+    const entry = this._entries.get(resolveUrnKey(key)[1]);
+    return entry ? entry.value : undefined;
+  }
 
-    // First check prefix
-    if (this.prefix !== other.prefix) {
-      throw new TaggedUrnError(
-        ErrorCodes.PREFIX_MISMATCH,
-        `Cannot compare URNs with different prefixes: '${this.prefix}' vs '${other.prefix}'`
-      );
+  /**
+   * Set the value for a URN
+   *
+   * @param {TaggedUrn|string} key - The URN
+   * @param {*} value - The value to store
+   * @returns {UrnMap} This map
+   */
+  set(key, value) {
+    const [urn, canonical] = resolveUrnKey(key);
+    const entry = this._entries.get(canonical);
+    if (entry) {
+      entry.value = value;
+    } else {
+      this._entries.set(canonical, { urn, value });
     }
-
-    return this.specificity() > other.specificity();
+    return this;
   }
 
   /**
-   * Check if two URNs are equivalent (identical tag sets)
-   * a.isEquivalent(b) ≡ a.accepts(b) && b.accepts(a)
+   * Check whether a URN has an entry
+   *
+   * @param {TaggedUrn|string} key - The URN
+   * @returns {boolean}
    */
-  isEquivalent(other) {
-    if (!other) {
-      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot compare against null URN');
-    }
-    return this.accepts(other) && other.accepts(this);
+  has(key) {
+    return this._entries.has(resolveUrnKey(key)[1]);
   }
 
   /**
-   * Check if two URNs are comparable (one is a specialization of the other)
-   * a.isComparable(b) ≡ a.accepts(b) || b.accepts(a)
+   * Remove the entry for a URN
+   *
+   * @param {TaggedUrn|string} key - The URN
+   * @returns {boolean} Whether an entry was removed
    */
-  isComparable(other) {
-    if (!other) {
-      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot compare against null URN');
-    }
-    return this.accepts(other) || other.accepts(this);
+  delete(key) {
+    return this._entries.delete(resolveUrnKey(key)[1]);
   }
 
   /**
-   * String variant of isEquivalent
+   * Remove all entries
    */
-  isEquivalentStr(otherStr) {
-    const other = TaggedUrn.fromString(otherStr);
-    return this.isEquivalent(other);
+  clear() {
+    this._entries.clear();
   }
 
   /**
-   * String variant of isComparable
+   * Iterate over the key URNs in insertion order
+   * @returns {Iterator<TaggedUrn>}
    */
-  isComparableStr(otherStr) {
-    const other = TaggedUrn.fromString(otherStr);
-    return this.isComparable(other);
+  *keys() {
+    for (const entry of this._entries.values()) {
+      yield entry.urn;
+    }
   }
 
   /**
-   * Create a new URN with a specific tag set to wildcard
-   *
-   * @param {string} key - The tag key to set to wildcard
-   * @returns {TaggedUrn} A new TaggedUrn instance with the tag set to wildcard
+   * Iterate over the values in insertion order
+   * @returns {Iterator<*>}
    */
-  withWildcardTag(key) {
-    if (this.tags.hasOwnProperty(key.toLowerCase())) {
-      return this.withTag(key, '*');
+  *values() {
+    for (const entry of this._entries.values()) {
+      yield entry.value;
     }
-    return this;
   }
 
   /**
-   * Create a new URN with only specified tags
-   *
-   * @param {string[]} keys - Array of tag keys to include
-   * @returns {TaggedUrn} A new TaggedUrn instance with only the specified tags
+   * Iterate over [urn, value] pairs in insertion order
+   * @returns {Iterator<Array>}
    */
-  subset(keys) {
-    const newTags = {};
-    for (const key of keys) {
-      const normalizedKey = key.toLowerCase();
-      if (this.tags.hasOwnProperty(normalizedKey)) {
-        newTags[normalizedKey] = this.tags[normalizedKey];
-      }
+  *entries() {
+    for (const entry of this._entries.values()) {
+      yield [entry.urn, entry.value];
     }
-    return new TaggedUrn(this.prefix, newTags, true);
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
   }
 
   /**
-   * Merge with another URN (other takes precedence for conflicts)
-   * Both must have the same prefix
+   * Call fn(value, urn, map) for each entry in insertion order
    *
-   * @param {TaggedUrn} other - The URN to merge with
-   * @returns {TaggedUrn} A new TaggedUrn instance with merged tags
-   * @throws {TaggedUrnError} If prefixes don't match
+   * @param {Function} fn - Callback
+   * @param {*} [thisArg] - Value to use as this in the callback
    */
-  merge(other) {
-    if (!other) {
-      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'cannot merge with null URN');
+  forEach(fn, thisArg) {
+    for (const entry of this._entries.values()) {
+      fn.call(thisArg, entry.value, entry.urn, this);
     }
+  }
+}
 
-    if (this.prefix !== other.prefix) {
-      throw new TaggedUrnError(
-        ErrorCodes.PREFIX_MISMATCH,
-        `Cannot merge URNs with different prefixes: '${this.prefix}' vs '${other.prefix}'`
-      );
+/**
+ * Set of URNs compared by equality rather than object identity
+ *
+ * Members may be given as TaggedUrn instances or URN strings; the URN first
+ * added for a canonical form is kept as the member.
+ */
+class UrnSet {
+  /**
+   * @param {Iterable<TaggedUrn|string>} [urns] - Initial members
+   */
+  constructor(urns) {
+    this._members = new Map();
+    if (urns) {
+      for (const urn of urns) {
+        this.add(urn);
+      }
     }
+  }
 
-    const newTags = { ...this.tags };
-    Object.assign(newTags, other.tags);
-    return new TaggedUrn(this.prefix, newTags, true);
+  /**
+   * Number of members
+   * @returns {number}
+   */
+  get size() {
+    return this._members.size;
   }
 
   /**
-   * Check if this tagged URN is equal to another
+   * Add a URN
    *
-   * @param {TaggedUrn} other - The other tagged URN to compare with
-   * @returns {boolean} Whether the tagged URNs are equal
+   * @param {TaggedUrn|string} urn - The URN to add
+   * @returns {UrnSet} This set
    */
-  equals(other) {
-    if (!other || !(other instanceof TaggedUrn)) {
-      return false;
+  add(urn) {
+    const [resolved, canonical] = resolveUrnKey(urn);
+    if (!this._members.has(canonical)) {
+      this._members.set(canonical, resolved);
     }
+    return this;
+  }
 
-    if (this.prefix !== other.prefix) {
-      return false;
-    }
+  /**
+   * Check whether a URN is a member
+   *
+   * @param {TaggedUrn|string} urn - The URN
+   * @returns {boolean}
+   */
+  has(urn) {
+    return this._members.has(resolveUrnKey(urn)[1]);
+  }
 
-    const thisKeys = Object.keys(this.tags).sort();
-    const otherKeys = Object.keys(other.tags).sort();
+  /**
+   * Remove a URN
+   *
+   * @param {TaggedUrn|string} urn - The URN
+   * @returns {boolean} Whether it was a member
+   */
+  delete(urn) {
+    return this._members.delete(resolveUrnKey(urn)[1]);
+  }
 
-    if (thisKeys.length !== otherKeys.length) {
-      return false;
-    }
+  /**
+   * Remove all members
+   */
+  clear() {
+    this._members.clear();
+  }
 
-    for (let i = 0; i < thisKeys.length; i++) {
-      if (thisKeys[i] !== otherKeys[i]) {
-        return false;
-      }
-      if (this.tags[thisKeys[i]] !== other.tags[otherKeys[i]]) {
-        return false;
-      }
-    }
+  /**
+   * Iterate over the members in insertion order
+   * @returns {Iterator<TaggedUrn>}
+   */
+  values() {
+    return this._members.values();
+  }
 
-    return true;
+  /**
+   * Same as values(), for Set compatibility
+   * @returns {Iterator<TaggedUrn>}
+   */
+  keys() {
+    return this._members.values();
   }
 
   /**
-   * Get a hash string for this tagged URN
-   * Two equivalent tagged URNs will have the same hash
-   *
-   * @returns {string} A hash of the canonical string representation
+   * Iterate over [urn, urn] pairs, for Set compatibility
+   * @returns {Iterator<Array>}
    */
-  hash() {
-    // Simple hash function for the canonical string
-    const canonical = this.toString();
-    let hash = 0;
-    for (let i = 0; i < canonical.length; i++) {
-      const char = canonical.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  *entries() {
+    for (const urn of this._members.values()) {
+      yield [urn, urn];
     }
-    return hash.toString(16);
   }
-}
 
-/**
- * Tagged URN Builder for fluent construction
- */
-class TaggedUrnBuilder {
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
   /**
-   * Create a new builder with a specified prefix (required)
-   * @param {string} prefix - The prefix to use
+   * Call fn(urn, urn, set) for each member in insertion order
+   *
+   * @param {Function} fn - Callback
+   * @param {*} [thisArg] - Value to use as this in the callback
    */
-  constructor(prefix) {
-    this._prefix = prefix.toLowerCase();
-    this.tags = {};
+  forEach(fn, thisArg) {
+    for (const urn of this._members.values()) {
+      fn.call(thisArg, urn, urn, this);
+    }
   }
 
   /**
-   * Add or update a tag
-   * Key is normalized to lowercase; value is preserved as-is
+   * Members of this set followed by those of another
    *
-   * @param {string} key - The tag key
-   * @param {string} value - The tag value
-   * @returns {TaggedUrnBuilder} This builder instance for chaining
+   * @param {Iterable<TaggedUrn|string>} other - The other URNs
+   * @returns {UrnSet} A new set
    */
-  tag(key, value) {
-    if (value === '' || value === undefined || value === null) {
-      throw new TaggedUrnError(ErrorCodes.EMPTY_TAG, `empty value for key '${key}' (use '*' for wildcard)`);
+  union(other) {
+    const result = new UrnSet(this);
+    for (const urn of other) {
+      result.add(urn);
     }
-    this.tags[key.toLowerCase()] = value;
-    return this;
+    return result;
   }
 
   /**
-   * Add a tag with wildcard value (*)
-   * @param {string} key - The tag key
-   * @returns {TaggedUrnBuilder} This builder for chaining
+   * Members of this set that are also in another
+   *
+   * @param {Iterable<TaggedUrn|string>} other - The other URNs
+   * @returns {UrnSet} A new set, in this set's order
    */
-  soloTag(key) {
-    this.tags[key.toLowerCase()] = '*';
-    return this;
+  intersection(other) {
+    const lookup = other instanceof UrnSet ? other : new UrnSet(other);
+    const result = new UrnSet();
+    for (const urn of this._members.values()) {
+      if (lookup.has(urn)) {
+        result.add(urn);
+      }
+    }
+    return result;
   }
 
   /**
-   * Build the final TaggedUrn
+   * Members of this set that are not in another
    *
-   * @returns {TaggedUrn} A new TaggedUrn instance
-   * @throws {TaggedUrnError} If no tags have been added
+   * @param {Iterable<TaggedUrn|string>} other - The other URNs
+   * @returns {UrnSet} A new set, in this set's order
    */
-  build() {
-    if (Object.keys(this.tags).length === 0) {
-      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, 'Tagged URN cannot be empty');
+  difference(other) {
+    const lookup = other instanceof UrnSet ? other : new UrnSet(other);
+    const result = new UrnSet();
+    for (const urn of this._members.values()) {
+      if (!lookup.has(urn)) {
+        result.add(urn);
+      }
     }
-    return new TaggedUrn(this._prefix, this.tags, true);
+    return result;
   }
 
   /**
-   * Build the final TaggedUrn, allowing empty tags
+   * Drop members that a kept member (as a pattern) accepts
    *
-   * @returns {TaggedUrn} A new TaggedUrn instance
+   * Every member of this set is accepted by some member of the cover, and
+   * no member of the cover can be dropped without losing that. Since
+   * accepts is not transitive ('?' and '*' match both ways) and does not
+   * follow specificity, the cover is built from the full accepts graph:
+   * members are tried for removal from most to least specific (ties from
+   * last added to first), and one is removed when everything it accepts is
+   * still accepted by another remaining member. When two members accept each
+   * other (e.g. `cap:` and `cap:k=?`), the one added first is kept.
+   *
+   * @returns {UrnSet} A new set, in this set's order
    */
-  buildAllowEmpty() {
-    return new TaggedUrn(this._prefix, this.tags, true);
+  minimalCover() {
+    const members = [...this._members.values()];
+    // acceptors[i]: remaining members (including i itself) that accept member i
+    const acceptors = members.map(urn => new Set(
+      members.filter(other => other.prefix === urn.prefix && other.accepts(urn))
+    ));
+    const order = members
+      .map((urn, index) => ({ urn, index, specificity: urn.specificity() }))
+      .sort((a, b) => b.specificity - a.specificity || b.index - a.index);
+    const removed = new Set();
+    for (const { urn } of order) {
+      if (acceptors.every(set => !set.has(urn) || set.size > 1)) {
+        removed.add(urn);
+        for (const set of acceptors) {
+          set.delete(urn);
+        }
+      }
+    }
+    return new UrnSet(members.filter(urn => !removed.has(urn)));
   }
 }
 
+// Default capacity of an UrnInterner, counted in cached strings
+const DEFAULT_INTERNER_MAX_SIZE = 1024;
+
 /**
- * URN Matcher utility class
+ * LRU parse cache that returns one shared instance per distinct URN
+ *
+ * Entries are keyed by both the raw input string and the canonical form, so
+ * every spelling of an equivalent URN resolves to the same frozen instance
+ * for as long as that instance stays cached. Interned URNs can then be
+ * compared by identity, which equals and matching use as a fast path.
  */
-class UrnMatcher {
+class UrnInterner {
   /**
-   * Find the most specific URN that conforms to a request's constraints.
-   * URNs are instances (capabilities), request is the pattern (requirement).
-   *
-   * @param {TaggedUrn[]} urns - Array of available URNs
-   * @param {TaggedUrn} request - The request to match
-   * @returns {TaggedUrn|null} The best matching URN or null if no match
-   * @throws {TaggedUrnError} If prefixes don't match
+   * @param {Object} [options]
+   * @param {number} [options.maxSize=1024] - Maximum number of cached strings
+   * @throws {TaggedUrnError} If maxSize is not a positive integer
    */
-  static findBestMatch(urns, request) {
-    let best = null;
-    let bestSpecificity = -1;
+  constructor(options = {}) {
+    this._cache = new Map();
+    this._hits = 0;
+    this._misses = 0;
+    this._evictions = 0;
+    this.maxSize = options.maxSize === undefined ? DEFAULT_INTERNER_MAX_SIZE : options.maxSize;
+  }
 
-    for (const urn of urns) {
-      if (urn.conformsTo(request)) {
-        const specificity = urn.specificity();
-        if (specificity > bestSpecificity) {
-          best = urn;
-          bestSpecificity = specificity;
-        }
-      }
+  /**
+   * Maximum number of cached strings; lowering it evicts the least recently used
+   * @returns {number}
+   */
+  get maxSize() {
+    return this._maxSize;
+  }
+
+  set maxSize(value) {
+    if (!Number.isInteger(value) || value < 1) {
+      throw new TaggedUrnError(ErrorCodes.INVALID_FORMAT, `interner maxSize must be a positive integer, got ${value}`);
     }
+    this._maxSize = value;
+    this._evict();
+  }
 
-    return best;
+  /**
+   * Number of cached strings (raw inputs and canonical forms)
+   * @returns {number}
+   */
+  get size() {
+    return this._cache.size;
   }
 
   /**
-   * Find all URNs that conform to a request's constraints, sorted by specificity.
-   * URNs are instances (capabilities), request is the pattern (requirement).
+   * Get the shared instance for a URN string or URN
    *
-   * @param {TaggedUrn[]} urns - Array of available URNs
-   * @param {TaggedUrn} request - The request to match
-   * @returns {TaggedUrn[]} Array of matching URNs sorted by specificity (most specific first)
-   * @throws {TaggedUrnError} If prefixes don't match
+   * @param {string|TaggedUrn} input - URN string, or a URN to canonicalize by identity
+   * @returns {TaggedUrn} The interned instance
+   * @throws {TaggedUrnError} If the string is not a valid URN (failures are not cached)
    */
-  static findAllMatches(urns, request) {
-    const results = [];
-    for (const urn of urns) {
-      if (urn.conformsTo(request)) {
-        results.push(urn);
-      }
+  intern(input) {
+    const isUrn = input instanceof TaggedUrn;
+    const key = isUrn ? input.toString() : input;
+    const cached = this._cache.get(key);
+    if (cached) {
+      this._hits++;
+      this._touch(key, cached);
+      return cached;
     }
 
-    // Sort by specificity (most specific first)
-    results.sort((a, b) => b.specificity() - a.specificity());
+    this._misses++;
+    const parsed = isUrn ? input : TaggedUrn.fromString(input);
+    const canonical = isUrn ? key : parsed.toString();
+    const urn = this._cache.get(canonical) || parsed;
+    this._touch(canonical, urn);
+    this._touch(key, urn);
+    this._evict();
+    return urn;
+  }
 
-    return results;
+  /**
+   * Get cache statistics
+   * @returns {{hits: number, misses: number, evictions: number, size: number, maxSize: number}}
+   */
+  stats() {
+    return {
+      hits: this._hits,
+      misses: this._misses,
+      evictions: this._evictions,
+      size: this._cache.size,
+      maxSize: this._maxSize
+    };
   }
 
   /**
-   * Check if two URN sets are compatible
-   * All URNs in both sets must have the same prefix
-   *
-   * @param {TaggedUrn[]} urns1 - First set of URNs
-   * @param {TaggedUrn[]} urns2 - Second set of URNs
-   * @returns {boolean} Whether any URNs from the two sets are compatible
-   * @throws {TaggedUrnError} If prefixes don't match
+   * Drop all cached entries and reset the statistics
    */
-  static areCompatible(urns1, urns2) {
-    for (const u1 of urns1) {
-      for (const u2 of urns2) {
-        if (u1.accepts(u2) || u2.accepts(u1)) {
-          return true;
-        }
-      }
+  clear() {
+    this._cache.clear();
+    this._hits = 0;
+    this._misses = 0;
+    this._evictions = 0;
+  }
+
+  /**
+   * Mark a key as most recently used
+   * @private
+   */
+  _touch(key, urn) {
+    this._cache.delete(key);
+    this._cache.set(key, urn);
+  }
+
+  /**
+   * Drop least recently used keys until within maxSize
+   * @private
+   */
+  _evict() {
+    while (this._cache.size > this._maxSize) {
+      this._cache.delete(this._cache.keys().next().value);
+      this._evictions++;
     }
-    return false;
   }
 }
 
+// Shared interner behind TaggedUrn.intern
+const defaultInterner = new UrnInterner();
+
 // Export for CommonJS
 module.exports = {
   TaggedUrn,
   TaggedUrnBuilder,
   UrnMatcher,
+  RankingStrategies,
+  UrnIndex,
+  UrnMap,
+  UrnSet,
+  UrnInterner,
   TaggedUrnError,
-  ErrorCodes
+  ErrorCodes,
+  ParseState,
+  PatternRelation,
+  CompatibilityRelation
 };
@@ -6,8 +6,15 @@ const {
   TaggedUrn,
   TaggedUrnBuilder,
   UrnMatcher,
+  RankingStrategies,
+  UrnIndex,
+  UrnMap,
+  UrnSet,
+  UrnInterner,
   TaggedUrnError,
-  ErrorCodes
+  ErrorCodes,
+  ParseState,
+  PatternRelation
 } = require('./tagged-urn.js');
 
 // Test assertion utilities
@@ -43,6 +50,39 @@ function assertThrows(fn, expectedErrorCode, message) {
   }
 }
 
+// Deterministic PRNG (mulberry32) so randomized tests are reproducible
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function assertThrowsType(fn, type, message) {
+  try {
+    fn();
+  } catch (error) {
+    if (error instanceof type) {
+      return;
+    }
+    throw new Error(`Expected ${type.name} but got: ${error.message}`);
+  }
+  throw new Error(`Expected error but function succeeded: ${message}`);
+}
+
+function catchError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected error but function succeeded');
+}
+
 function assertThrowsAny(fn, message) {
   try {
     fn();
@@ -499,7 +539,7 @@ function test530_wildcard_tag() {
 // TEST531: Verify empty URN (no tags) is valid and matches everything
 function test531_empty_tagged_urn() {
   const empty = TaggedUrn.fromString('cap:');
-  assertEqual(Object.keys(empty.tags).length, 0, 'Should have no tags');
+  assertEqual(empty.tags.size, 0, 'Should have no tags');
   assertEqual(empty.toString(), 'cap:', 'Should have correct string representation');
 
   const specific = TaggedUrn.fromString('cap:op=generate;ext=pdf');
@@ -1160,6 +1200,1377 @@ function testJsOnly_op_tag_rename() {
   assertEqual(built.getTag('op'), 'transform', 'Builder should set op tag');
 }
 
+// JS-only: Parse errors carry structured, position-aware diagnostics
+function testJsOnly_parse_error_diagnostics() {
+  const error = catchError(() => TaggedUrn.fromString('cap:op=a;ext=b#c'));
+  assertEqual(error.code, ErrorCodes.INVALID_CHARACTER, 'Should be invalid character');
+  assertEqual(error.input, 'cap:op=a;ext=b#c', 'Should carry input');
+  assertEqual(error.position, 14, 'Position should be absolute, including the prefix');
+  assertEqual(error.character, '#', 'Should carry offending character');
+  assertEqual(error.key, 'ext', 'Should carry key being parsed');
+  assertEqual(error.state, ParseState.IN_UNQUOTED_VALUE, 'Should carry parser state');
+  assert(error.expected.includes("';'"), 'Should list expected tokens');
+
+  const dup = catchError(() => TaggedUrn.fromString('cap:a=1;a=2'));
+  assertEqual(dup.code, ErrorCodes.DUPLICATE_KEY, 'Should be duplicate key');
+  assertEqual(dup.position, 8, 'Duplicate should point at the repeated key');
+  assertEqual(dup.key, 'a', 'Duplicate should carry key');
+
+  const quote = catchError(() => TaggedUrn.fromString('cap:k="abc'));
+  assertEqual(quote.code, ErrorCodes.UNTERMINATED_QUOTE, 'Should be unterminated quote');
+  assertEqual(quote.position, 10, 'Unterminated quote should point at end of input');
+  assertEqual(quote.character, undefined, 'No character at end of input');
+
+  const missing = catchError(() => TaggedUrn.fromString('nocolon'));
+  assertEqual(missing.code, ErrorCodes.MISSING_PREFIX, 'Should be missing prefix');
+  assertEqual(missing.position, 7, 'Missing prefix should point at end of input');
+
+  const whitespace = catchError(() => TaggedUrn.fromString('cap:a=1 '));
+  assertEqual(whitespace.position, 7, 'Trailing whitespace position');
+}
+
+// JS-only: formatSnippet renders the input with a caret under the failing character
+function testJsOnly_parse_error_snippet() {
+  const error = catchError(() => TaggedUrn.fromString('cap:ext=a@b'));
+  assertEqual(error.formatSnippet(), 'cap:ext=a@b\n         ^', 'Caret should sit under @');
+
+  const tabbed = catchError(() => TaggedUrn.fromString('cap:k="a\tb\\n"'));
+  assertEqual(tabbed.formatSnippet().split('\n')[1], '        \t  ^', 'Tabs should be preserved before caret');
+
+  const plain = new TaggedUrnError(ErrorCodes.PREFIX_MISMATCH, 'no position');
+  assertEqual(plain.formatSnippet(), '', 'Errors without position render no snippet');
+}
+
+// JS-only: tryParse recovers at the next ';' and reports every error
+function testJsOnly_try_parse_collects_all_errors() {
+  const { urn, errors } = TaggedUrn.tryParse('cap:op=gen;op=x;123=y;ext=a#b;ok;k="bad');
+  assertDeepEqual(
+    errors.map(e => e.code),
+    [ErrorCodes.DUPLICATE_KEY, ErrorCodes.NUMERIC_KEY, ErrorCodes.INVALID_CHARACTER, ErrorCodes.UNTERMINATED_QUOTE],
+    'Should report every error in order'
+  );
+  assert(errors.every(e => e instanceof TaggedUrnError), 'Diagnostics should be TaggedUrnErrors');
+  assertEqual(errors[2].position, 27, 'Diagnostics should keep absolute positions');
+  assertEqual(urn.toString(), 'cap:ok;op=gen', 'Partial URN should keep the valid tags');
+
+  // Errors inside quotes do not split the quoted value at an embedded ';'
+  const quoted = TaggedUrn.tryParse('cap:a="x\\n;y";b=1');
+  assertEqual(quoted.errors.length, 1, 'Invalid escape should be the only error');
+  assertEqual(quoted.errors[0].code, ErrorCodes.INVALID_ESCAPE_SEQUENCE, 'Should report invalid escape');
+  assertEqual(quoted.urn.toString(), 'cap:b=1', 'Tag after the quoted value should survive');
+
+  // A tag that already failed gets no further diagnostics, even when nothing was collected
+  const onlyEscape = TaggedUrn.tryParse('cap:c="\\q"');
+  assertDeepEqual(onlyEscape.errors.map(e => e.code), [ErrorCodes.INVALID_ESCAPE_SEQUENCE], 'No empty-value error after a bad escape');
+
+  const noPrefix = TaggedUrn.tryParse('op=generate');
+  assertEqual(noPrefix.urn, null, 'No URN without a prefix');
+  assertEqual(noPrefix.errors[0].code, ErrorCodes.MISSING_PREFIX, 'Should report missing prefix');
+}
+
+// JS-only: validate returns no diagnostics for valid input and the fromString error first
+function testJsOnly_validate() {
+  assertDeepEqual(TaggedUrn.validate('cap:op=generate;ext="A B"'), [], 'Valid URN has no diagnostics');
+
+  const input = 'cap:k=;a=1;a=2';
+  const errors = TaggedUrn.validate(input);
+  assertEqual(errors.length, 2, 'Should report both errors');
+  assertThrows(() => TaggedUrn.fromString(input), errors[0].code, 'fromString should fail with the first diagnostic');
+}
+
+// JS-only: parseMany reports line numbers and skips blank and comment lines
+function testJsOnly_parse_many() {
+  const text = [
+    '# capabilities',
+    'cap:op=generate;ext=pdf',
+    '',
+    '  # indented comment',
+    'cap:op=extract;ext=',
+    'cap:ext=pdf;op=generate\r',
+    'cap:op=convert'
+  ].join('\n') + '\n';
+
+  const records = TaggedUrn.parseMany(text);
+  assertDeepEqual(records.map(r => r.line), [2, 5, 6, 7], 'Should keep line numbers of parsed lines');
+  assertEqual(records[0].urn.toString(), 'cap:ext=pdf;op=generate', 'Should parse URN lines');
+  assertEqual(records[1].error.code, ErrorCodes.EMPTY_TAG, 'Should report errors as records');
+  assertEqual(records[2].urn.toString(), 'cap:ext=pdf;op=generate', 'Should strip CR from CRLF lines');
+  assertEqual(records[1].urn, undefined, 'Error records carry no URN');
+
+  const deduped = TaggedUrn.parseMany(text, { dedupe: true, canonicalize: true });
+  assertDeepEqual(deduped.map(r => r.line), [2, 5, 7], 'Should drop canonical duplicates');
+  assertEqual(deduped[2].canonical, 'cap:op=convert', 'Should add canonical form');
+
+  const fromIterable = TaggedUrn.parseMany(['cap:a=1', ' cap:b=2']);
+  assertEqual(fromIterable[0].urn.toString(), 'cap:a=1', 'Should accept an iterable of lines');
+  assertEqual(fromIterable[1].error.code, ErrorCodes.WHITESPACE_IN_INPUT, 'Lines are parsed exactly like fromString');
+}
+
+// JS-only: parseStream splits lines across chunk boundaries, including inside UTF-8 sequences
+async function testJsOnly_parse_stream() {
+  async function* chunks() {
+    yield 'cap:op=gen';
+    yield 'erate\n# skip\ncap:k="caf';
+    yield new Uint8Array([0xc3]);
+    yield new Uint8Array([0xa9, 0x22, 0x0a, 0x62, 0x61, 0x64]);
+  }
+
+  const records = [];
+  for await (const record of TaggedUrn.parseStream(chunks())) {
+    records.push(record);
+  }
+  assertDeepEqual(records.map(r => r.line), [1, 3, 4], 'Should yield records with line numbers');
+  assertEqual(records[0].urn.toString(), 'cap:op=generate', 'Should join lines split across chunks');
+  assertEqual(records[1].urn.getTag('k'), 'caf\u00e9', 'Should decode UTF-8 split across chunks');
+  assertEqual(records[2].error.code, ErrorCodes.MISSING_PREFIX, 'Should parse final unterminated line');
+}
+
+// JS-only: Values outside the unquoted-value grammar are quoted on serialization
+function testJsOnly_serialization_quotes_non_grammar_chars() {
+  for (const value of ['a@b', '\u00e9t\u00e9', 'a\tb', 'x#y', 'a,b', 'a+b', '(x)', 'a\u00df', '\u{1F600}']) {
+    const urn = new TaggedUrnBuilder('cap').tag('ext', value).build();
+    const str = urn.toString();
+    assertEqual(str, `cap:ext="${value}"`, `Value ${JSON.stringify(value)} should be quoted`);
+    assert(TaggedUrn.fromString(str).equals(urn), `Value ${JSON.stringify(value)} should round-trip`);
+  }
+
+  // Values fully inside the grammar stay unquoted
+  const plain = new TaggedUrnBuilder('cap').tag('mime', 'application/vnd.ms-excel').tag('v', 'a.b:c_d*?!').build();
+  assertEqual(plain.toString(), 'cap:mime=application/vnd.ms-excel;v=a.b:c_d*?!', 'Grammar values should not be quoted');
+}
+
+// JS-only: Randomized round-trip over the full value space
+function testJsOnly_random_value_round_trip() {
+  const random = seededRandom(0x5eed);
+  const pool = [];
+  for (let code = 0; code < 0x80; code++) {
+    pool.push(String.fromCharCode(code));
+  }
+  pool.push('\u00e9', '\u00c9', '\u00df', '\u0130', '\u03a3', '\u65e5', '\u00a0', '\u2028', '\u{1F600}', '\u{10FFFF}');
+  const keyChars = 'abcdefghijklmnopqrstuvwxyz0123456789_-/:.';
+
+  for (let i = 0; i < 2000; i++) {
+    const builder = new TaggedUrnBuilder('cap');
+    const tagCount = 1 + Math.floor(random() * 4);
+    for (let t = 0; t < tagCount; t++) {
+      let key = 'k';
+      const keyLength = Math.floor(random() * 5);
+      for (let j = 0; j < keyLength; j++) {
+        key += keyChars[Math.floor(random() * keyChars.length)];
+      }
+      let value = '';
+      const valueLength = 1 + Math.floor(random() * 8);
+      for (let j = 0; j < valueLength; j++) {
+        value += pool[Math.floor(random() * pool.length)];
+      }
+      builder.tag(key, value);
+    }
+    const urn = builder.build();
+    const str = urn.toString();
+    let reparsed;
+    try {
+      reparsed = TaggedUrn.fromString(str);
+    } catch (error) {
+      throw new Error(`Serialized URN ${JSON.stringify(str)} failed to parse: ${error.message}`);
+    }
+    assert(reparsed.equals(urn), `Round-trip should preserve ${JSON.stringify(str)}`);
+    assertEqual(reparsed.toString(), str, `Canonical form should be stable for ${JSON.stringify(str)}`);
+  }
+}
+
+// JS-only: Programmatic construction enforces the same key grammar as fromString
+function testJsOnly_construction_key_validation() {
+  const base = TaggedUrn.fromString('cap:op=generate');
+  const cases = [
+    ['123', ErrorCodes.NUMERIC_KEY],
+    ['my key', ErrorCodes.INVALID_CHARACTER],
+    ['a;b', ErrorCodes.INVALID_CHARACTER],
+    ['a=b', ErrorCodes.INVALID_CHARACTER],
+    ['', ErrorCodes.EMPTY_TAG]
+  ];
+  for (const [key, code] of cases) {
+    if (/^[^;=]+$/.test(key)) {
+      // Empty keys and separators change how the string splits, so only compare keys the parser sees whole
+      assertThrows(() => TaggedUrn.fromString(`cap:${key}=x`), code, `fromString should reject key ${JSON.stringify(key)}`);
+    }
+    assertThrows(() => base.withTag(key, 'x'), code, `withTag should reject key ${JSON.stringify(key)}`);
+    assertThrows(() => new TaggedUrnBuilder('cap').tag(key, 'x'), code, `Builder.tag should reject key ${JSON.stringify(key)}`);
+    assertThrows(() => new TaggedUrnBuilder('cap').soloTag(key), code, `Builder.soloTag should reject key ${JSON.stringify(key)}`);
+    assertThrows(() => new TaggedUrn('cap', { [key]: 'x' }), code, `Constructor should reject key ${JSON.stringify(key)}`);
+  }
+
+  // Characters are checked before lowercasing, as in the parser: the Kelvin sign lowercases to 'k'
+  assertThrows(() => TaggedUrn.fromString('cap:\u212A=x'), ErrorCodes.INVALID_CHARACTER, 'Parser should reject the Kelvin sign');
+  assertThrows(() => new TaggedUrn('cap', { '\u212A': 'x' }), ErrorCodes.INVALID_CHARACTER, 'Constructor should reject the Kelvin sign');
+  assertThrows(() => TaggedUrn.empty('cap').withTag('\u212A', 'x'), ErrorCodes.INVALID_CHARACTER, 'withTag should reject the Kelvin sign');
+  assertThrows(() => new TaggedUrnBuilder('cap').tag('\u212A', 'x'), ErrorCodes.INVALID_CHARACTER, 'Builder should reject the Kelvin sign');
+
+  assertThrows(() => new TaggedUrn('cap', { Op: 'a', op: 'b' }), ErrorCodes.DUPLICATE_KEY, 'Keys colliding after lowercasing are duplicates');
+  assertThrows(() => new TaggedUrn('cap', { op: '' }), ErrorCodes.EMPTY_TAG, 'Constructor should reject empty value');
+  for (const value of [5, true, {}, ['x']]) {
+    assertThrows(() => new TaggedUrn('cap', { op: value }), ErrorCodes.INVALID_FORMAT, `Constructor should reject value ${JSON.stringify(value)}`);
+    assertThrows(() => new TaggedUrnBuilder('cap').tag('n', value), ErrorCodes.INVALID_FORMAT, `Builder should reject value ${JSON.stringify(value)}`);
+    assertThrows(() => TaggedUrn.empty('cap').withTag('n', value), ErrorCodes.INVALID_FORMAT, `withTag should reject value ${JSON.stringify(value)}`);
+  }
+
+  const built = new TaggedUrn('cap', { OP: 'generate', 'ext/type': 'pdf' });
+  assertEqual(built.toString(), 'cap:ext/type=pdf;op=generate', 'Valid keys are normalized');
+  assert(TaggedUrn.fromString(built.toString()).equals(built), 'Constructed URN should round-trip');
+}
+
+// JS-only: Construction paths apply the parser's prefix checks (non-empty, no ':')
+function testJsOnly_construction_prefix_validation() {
+  assertThrows(() => new TaggedUrn('a:b', {}), ErrorCodes.INVALID_CHARACTER, 'Constructor should reject prefix with :');
+  assertThrows(() => new TaggedUrnBuilder('a:b'), ErrorCodes.INVALID_CHARACTER, 'Builder should reject prefix with :');
+  assertThrows(() => TaggedUrn.empty('a:b'), ErrorCodes.INVALID_CHARACTER, 'empty() should reject prefix with :');
+  assertThrows(() => new TaggedUrn('', {}), ErrorCodes.EMPTY_PREFIX, 'Constructor should reject empty prefix');
+  assertThrows(() => TaggedUrn.fromString(':op=x'), ErrorCodes.EMPTY_PREFIX, 'fromString should reject empty prefix');
+  for (const prefix of [' cap', '\tcap', '\u00a0cap']) {
+    assertThrows(() => TaggedUrn.fromString(`${prefix}:k=v`), ErrorCodes.WHITESPACE_IN_INPUT, `fromString should reject ${JSON.stringify(prefix)}`);
+    assertThrows(() => new TaggedUrn(prefix, { k: 'v' }), ErrorCodes.WHITESPACE_IN_INPUT, `Constructor should reject ${JSON.stringify(prefix)}`);
+    assertThrows(() => TaggedUrn.empty(prefix), ErrorCodes.WHITESPACE_IN_INPUT, `empty() should reject ${JSON.stringify(prefix)}`);
+    assertThrows(() => new TaggedUrnBuilder(prefix), ErrorCodes.WHITESPACE_IN_INPUT, `Builder should reject ${JSON.stringify(prefix)}`);
+  }
+
+  // Any other prefix the parser accepts is accepted everywhere, and round-trips
+  for (const prefix of ['my@cap', 'my cap', 'a;b', 'caf\u00e9']) {
+    const parsed = TaggedUrn.fromString(`${prefix}:x=1`);
+    const built = new TaggedUrnBuilder(prefix).tag('x', '1').build();
+    assert(built.equals(parsed), `Builder and fromString should agree on prefix ${JSON.stringify(prefix)}`);
+    assert(new TaggedUrn(prefix, { x: '1' }).equals(parsed), `Constructor should accept prefix ${JSON.stringify(prefix)}`);
+    assert(TaggedUrn.fromString(parsed.toString()).equals(parsed), `Prefix ${JSON.stringify(prefix)} should round-trip`);
+  }
+
+  assertEqual(new TaggedUrn('Media.V2', {}).toString(), 'media.v2:', 'Valid prefixes are lowercased');
+}
+
+// JS-only: Keys that collide with Object.prototype members are ordinary tags
+function testJsOnly_prototype_keys_are_ordinary_tags() {
+  const urn = TaggedUrn.fromString('cap:__proto__=x;constructor=y;hasOwnProperty=z');
+  assertEqual(urn.getTag('__proto__'), 'x', '__proto__ should be stored as a tag');
+  assertEqual(urn.getTag('constructor'), 'y', 'constructor should be stored as a tag');
+  assertEqual(urn.getTag('hasownproperty'), 'z', 'hasownproperty should be stored as a tag');
+  assertDeepEqual([...urn.tags.keys()], ['__proto__', 'constructor', 'hasownproperty'], 'Tag view should list all keys');
+  assertEqual(urn.toString(), 'cap:__proto__=x;constructor=y;hasownproperty=z', 'Should serialize all keys');
+  assert(TaggedUrn.fromString(urn.toString()).equals(urn), 'Should round-trip');
+  assertEqual(urn.specificity(), 9, 'All three tags should count toward specificity');
+  assertThrows(() => TaggedUrn.fromString('cap:__proto__=x;__proto__=y'), ErrorCodes.DUPLICATE_KEY, 'Duplicate __proto__ should be detected');
+
+  // Absent prototype-named keys are absent, not inherited members
+  const plain = TaggedUrn.fromString('cap:op=generate');
+  assertEqual(plain.getTag('constructor'), undefined, 'Missing constructor tag should be undefined');
+  assert(TaggedUrn.fromString('cap:constructor=!').accepts(plain), 'Must-not-have constructor should accept');
+  assert(!TaggedUrn.fromString('cap:constructor').accepts(plain), 'Must-have constructor should reject');
+  assert(!TaggedUrn.fromString('cap:__proto__=x').accepts(plain), 'Exact __proto__ should reject');
+  assert(urn.conformsTo(TaggedUrn.fromString('cap:__proto__=x;constructor')), 'Instance should conform on prototype-named keys');
+  assert(!plain.equals(plain.withTag('__proto__', 'x')), 'withTag(__proto__) should change the URN');
+
+  // Every construction path
+  const built = new TaggedUrnBuilder('cap').tag('__proto__', 'x').soloTag('constructor').build();
+  assertEqual(built.toString(), 'cap:__proto__=x;constructor', 'Builder should store prototype-named keys');
+  const fromObject = new TaggedUrn('cap', JSON.parse('{"__proto__": "x", "constructor": "y"}'));
+  assertEqual(fromObject.toString(), 'cap:__proto__=x;constructor=y', 'Constructor should store prototype-named keys');
+  const merged = plain.merge(TaggedUrn.fromString('cap:__proto__=x'));
+  assertEqual(merged.toString(), 'cap:__proto__=x;op=generate', 'Merge should copy prototype-named keys');
+  assertEqual(merged.subset(['__proto__']).toString(), 'cap:__proto__=x', 'Subset should keep prototype-named keys');
+  assertEqual(merged.withoutTag('__proto__').toString(), 'cap:op=generate', 'withoutTag should remove prototype-named keys');
+  assertEqual(Object.getPrototypeOf({}), Object.prototype, 'Object.prototype should be untouched');
+}
+
+// JS-only: URN instances are frozen and tags are exposed read-only
+function testJsOnly_immutable_instances() {
+  'use strict';
+  const urn = TaggedUrn.fromString('cap:op=generate;ext=pdf');
+  assert(Object.isFrozen(urn), 'Instance should be frozen');
+  assertThrowsType(() => { urn.prefix = 'other'; }, TypeError, 'Prefix should not be assignable');
+  assertThrowsType(() => { urn.tags = {}; }, TypeError, 'Tags should not be replaceable');
+  assertThrowsType(() => { urn.tags.op = 'x'; }, TypeError, 'Tag view should not accept new properties');
+  assertEqual(urn.toString(), 'cap:ext=pdf;op=generate', 'URN should be unchanged');
+
+  const copy = urn.tags.toObject();
+  copy.op = 'extract';
+  assertEqual(urn.getTag('op'), 'generate', 'Mutating toObject() copy should not affect URN');
+  assertDeepEqual(copy, { ext: 'pdf', op: 'extract' }, 'toObject should return a plain copy');
+}
+
+// JS-only: The tag view offers a read-only Map-like API in canonical order
+function testJsOnly_tag_view_api() {
+  const urn = TaggedUrn.fromString('cap:op=generate;ext=pdf;Target="Thumb"');
+  const tags = urn.tags;
+  assertEqual(tags.size, 3, 'size');
+  assertEqual(tags.get('OP'), 'generate', 'get should normalize key');
+  assert(tags.has('ext') && !tags.has('missing'), 'has');
+  assertDeepEqual([...tags.keys()], ['ext', 'op', 'target'], 'keys in canonical order');
+  assertDeepEqual([...tags.values()], ['pdf', 'generate', 'Thumb'], 'values in key order');
+  assertDeepEqual([...tags.entries()], [['ext', 'pdf'], ['op', 'generate'], ['target', 'Thumb']], 'entries');
+  assertDeepEqual([...tags], [...tags.entries()], 'iterator yields entries');
+  const seen = [];
+  tags.forEach((value, key) => seen.push(`${key}=${value}`));
+  assertDeepEqual(seen, ['ext=pdf', 'op=generate', 'target=Thumb'], 'forEach');
+
+  // A view can seed another URN without copying
+  const shared = new TaggedUrn('cap', urn.tags);
+  assert(shared.equals(urn), 'URN built from a view should be equal');
+  assertEqual(shared.tags, urn.tags, 'View should be shared');
+}
+
+// JS-only: Derivations share structure but never leak changes between URNs
+function testJsOnly_structural_sharing() {
+  let urn = TaggedUrn.fromString('cap:a=1;b=2');
+  const original = urn;
+  const history = [];
+  for (let i = 0; i < 40; i++) {
+    urn = urn.withTag(`k${i}`, `${i}`);
+    if (i >= 3 && i % 3 === 0) {
+      urn = urn.withoutTag(`k${i - 3}`);
+    }
+    history.push([urn, urn.toString()]);
+  }
+  for (const [derived, str] of history) {
+    assertEqual(derived.toString(), str, 'Earlier derivations should be unaffected by later ones');
+    assert(TaggedUrn.fromString(str).equals(derived), 'Derived URN should equal its re-parse');
+    assertEqual(derived.tags.size, [...derived.tags.keys()].length, 'size should match live keys');
+  }
+  assertEqual(original.toString(), 'cap:a=1;b=2', 'Original should be unchanged');
+
+  const removed = original.withoutTag('a');
+  assertEqual(removed.getTag('a'), undefined, 'Removed tag should be absent');
+  assert(!removed.tags.has('a'), 'Removed tag should not be listed');
+  assertEqual(removed.withTag('a', '3').toString(), 'cap:a=3;b=2', 'Re-adding a removed tag should work');
+  assertEqual(original.withoutTag('missing'), original, 'Removing an absent tag should return the same instance');
+
+  const merged = original.merge(TaggedUrn.fromString('cap:b=9;c=3'));
+  assertEqual(merged.toString(), 'cap:a=1;b=9;c=3', 'Merge should override and add');
+  assertEqual(merged.tags.size, 3, 'Merged size');
+  assertEqual(original.merge(TaggedUrn.empty('cap')), original, 'Merging an empty URN should return the same instance');
+}
+
+// JS-only: toJSON emits the canonical string or the { prefix, tags } object form
+function testJsOnly_to_json() {
+  const urn = TaggedUrn.fromString('cap:op=generate;ext;fmt=?;legacy=!;title="Hello World"');
+  assertEqual(JSON.stringify({ urn }), '{"urn":"cap:ext;fmt=?;legacy=!;op=generate;title=\\"Hello World\\""}', 'JSON.stringify should use the canonical string');
+  assertDeepEqual(
+    urn.toJSON({ form: 'object' }),
+    { prefix: 'cap', tags: { ext: '*', fmt: '?', legacy: '!', op: 'generate', title: 'Hello World' } },
+    'Object form should keep special values and quoted case'
+  );
+  assertEqual(urn.toJSON('urn'), urn.toString(), 'Property keys from JSON.stringify should select the string form');
+}
+
+// JS-only: fromJSON accepts both forms with full validation
+function testJsOnly_from_json() {
+  const urn = TaggedUrn.fromString('cap:op=generate;ext;fmt=?;legacy=!;title="Hello World"');
+  assert(TaggedUrn.fromJSON(urn.toJSON()).equals(urn), 'String form should round-trip');
+  assert(TaggedUrn.fromJSON(urn.toJSON({ form: 'object' })).equals(urn), 'Object form should round-trip');
+  assert(TaggedUrn.fromJSON(JSON.parse(JSON.stringify(urn.toJSON({ form: 'object' })))).equals(urn), 'Object form should survive JSON text');
+  if (typeof structuredClone === 'function') {
+    assert(TaggedUrn.fromJSON(structuredClone(urn.toJSON({ form: 'object' }))).equals(urn), 'Object form should survive structuredClone');
+  }
+  assertEqual(TaggedUrn.fromJSON({ prefix: 'cap' }).toString(), 'cap:', 'Missing tags means no tags');
+
+  assertThrows(() => TaggedUrn.fromJSON('cap:ext=a;ext=b'), ErrorCodes.DUPLICATE_KEY, 'String form should be validated');
+  assertThrows(() => TaggedUrn.fromJSON({ prefix: 'cap', tags: { 123: 'x' } }), ErrorCodes.NUMERIC_KEY, 'Object keys should be validated');
+  assertThrows(() => TaggedUrn.fromJSON({ prefix: 'cap', tags: { 'a b': 'x' } }), ErrorCodes.INVALID_CHARACTER, 'Object keys should use the key grammar');
+  assertThrows(() => TaggedUrn.fromJSON({ prefix: 'cap', tags: { op: '' } }), ErrorCodes.EMPTY_TAG, 'Empty values should be rejected');
+  assertThrows(() => TaggedUrn.fromJSON({ prefix: 'cap', tags: { op: 5 } }), ErrorCodes.INVALID_FORMAT, 'Non-string values should be rejected');
+  assertThrows(() => TaggedUrn.fromJSON({ prefix: 'a:b', tags: {} }), ErrorCodes.INVALID_CHARACTER, 'Prefix should be validated');
+  assertThrows(() => TaggedUrn.fromJSON({ tags: {} }), ErrorCodes.MISSING_PREFIX, 'Prefix is required');
+  assertThrows(() => TaggedUrn.fromJSON(42), ErrorCodes.INVALID_FORMAT, 'Other JSON values should be rejected');
+}
+
+// JS-only: The reviver rehydrates URNs at configured paths only
+function testJsOnly_json_reviver() {
+  const text = JSON.stringify({
+    name: 'cap:not=a;urn=here',
+    request: { pattern: 'cap:op=generate' },
+    caps: ['cap:ext=pdf;op=generate', { prefix: 'cap', tags: { op: 'extract' } }, null]
+  });
+  const doc = JSON.parse(text, TaggedUrn.reviver(['request.pattern', 'caps.*', 'missing.path']));
+  assertEqual(doc.name, 'cap:not=a;urn=here', 'Values outside the paths should stay strings');
+  assert(doc.request.pattern instanceof TaggedUrn, 'Nested path should be rehydrated');
+  assertEqual(doc.caps[0].toString(), 'cap:ext=pdf;op=generate', 'Wildcard path should rehydrate strings');
+  assertEqual(doc.caps[1].toString(), 'cap:op=extract', 'Wildcard path should rehydrate object form');
+  assertEqual(doc.caps[2], null, 'Null values should be left alone');
+
+  assert(JSON.parse('"cap:op=x"', TaggedUrn.reviver([''])) instanceof TaggedUrn, 'Empty path is the document root');
+  assertThrows(() => JSON.parse('{"u":"cap:1=x"}', TaggedUrn.reviver(['u'])), ErrorCodes.NUMERIC_KEY, 'Invalid URNs should fail the parse');
+}
+
+// JS-only: toUriComponent keeps URN delimiters literal and escapes the rest
+function testJsOnly_uri_component_encoding() {
+  const simple = TaggedUrn.fromString('cap:op=generate;ext=pdf;type=image/png;any;opt=?;no=!');
+  assertEqual(simple.toUriComponent(), 'cap:any;ext=pdf;no=!;op=generate;opt=%3F;type=image%2Fpng', 'Only ? and / should be escaped');
+
+  const quoted = TaggedUrn.fromString('cap:title="Hello \\"World\\" 100% & more?#+";path="C:\\\\tmp";name="caf\u00e9 \u{1F600}"');
+  const encoded = quoted.toUriComponent();
+  assert(/^[A-Za-z0-9\-._~:;=@!*,%]*$/.test(encoded), `Encoded form should use only safe characters: ${encoded}`);
+  assert(encoded.includes('%22Hello%20%5C%22World%5C%22%20100%25%20%26%20more%3F%23%2B%22'), 'Quoted value should be percent-encoded');
+  assert(TaggedUrn.fromUriComponent(encoded).equals(quoted), 'Should round-trip');
+  assertEqual(decodeURIComponent(encoded), quoted.toString(), 'Should be standard percent-encoding of the canonical form');
+}
+
+// JS-only: Encoded URNs survive URL paths and query strings
+function testJsOnly_uri_component_in_urls() {
+  const urn = TaggedUrn.fromString('cap:op=generate;q="a+b & c=d?";ext=pdf');
+  const encoded = urn.toUriComponent();
+
+  const url = new URL(`https://example.com/caps/${encoded}?urn=${encoded}`);
+  assertEqual(url.pathname, `/caps/${encoded}`, 'Path should be left untouched');
+  assert(TaggedUrn.fromUriComponent(url.pathname.slice('/caps/'.length)).equals(urn), 'Path segment should decode');
+  assert(TaggedUrn.fromString(url.searchParams.get('urn')).equals(urn), 'Query decoding should yield the canonical form');
+
+  // '/' in a value stays inside one path segment
+  const mime = TaggedUrn.fromString('cap:mime=application/pdf;op=generate');
+  const segment = mime.toUriComponent();
+  assertEqual(segment, 'cap:mime=application%2Fpdf;op=generate', '/ should be percent-encoded');
+  const mimeUrl = new URL(`https://example.com/caps/${segment}/render`);
+  assertDeepEqual(mimeUrl.pathname.split('/'), ['', 'caps', segment, 'render'], 'Encoded URN should be one path segment');
+  assert(TaggedUrn.fromUriComponent(mimeUrl.pathname.split('/')[2]).equals(mime), 'Segment should decode');
+  assert(TaggedUrn.fromString(new URL(`https://example.com/?urn=${segment}`).searchParams.get('urn')).equals(mime), 'Query value should decode');
+
+  assertThrows(() => TaggedUrn.fromUriComponent('cap:k=%E0%A4%A'), ErrorCodes.INVALID_FORMAT, 'Malformed escapes should fail');
+  assertThrows(() => TaggedUrn.fromUriComponent('cap:k=a%20b'), ErrorCodes.INVALID_CHARACTER, 'Decoded text is validated by the parser');
+}
+
+// JS-only: toFilename produces portable, lowercase, reversible names
+function testJsOnly_filename_encoding() {
+  const urn = TaggedUrn.fromString('cap:op=generate;ext=pdf;title="Report: Q1/Q2 *final*?";note="caf\u00e9"');
+  const name = urn.toFilename();
+  assert(/^[a-z0-9_-]+$/.test(name), `Name should only use portable lowercase characters: ${name}`);
+  assert(!name.startsWith('-'), 'Name should not start with a dash');
+  assert(TaggedUrn.fromFilename(name).equals(urn), 'Name should decode to an equal URN');
+
+  assertEqual(TaggedUrn.fromString('cap:op=generate;ext=pdf').toFilename(), 'cap_3aext_3dpdf_3bop_3dgenerate', 'Simple URN encoding');
+  assertEqual(
+    TaggedUrn.fromString('cap:ext=pdf;op=generate').toFilename(),
+    TaggedUrn.fromString('CAP:OP=generate;EXT=pdf;').toFilename(),
+    'Equivalent URNs should map to the same name'
+  );
+
+  // Quoted values differing only in case must not collide on case-insensitive file systems
+  const upper = TaggedUrn.fromString('cap:k="A"').toFilename();
+  const lower = TaggedUrn.fromString('cap:k=a').toFilename();
+  assert(upper.toLowerCase() !== lower.toLowerCase(), 'Case-only differences should stay distinct ignoring case');
+
+  assertEqual(TaggedUrn.fromString('-x.y:k=v').toFilename(), '_2dx_2ey_3ak_3dv', 'Leading dash and dots should be escaped');
+}
+
+// JS-only: Long names are bounded and end in a hash; they cannot be decoded
+function testJsOnly_filename_length_bound() {
+  const long = TaggedUrn.fromString(`cap:op=generate;title="${'Long Title '.repeat(40)}"`);
+  const name = long.toFilename();
+  assert(name.length <= 200, `Default name should be at most 200 characters, got ${name.length}`);
+  assert(/_h[0-9a-f]{16}$/.test(name), 'Long name should end with a hash suffix');
+  assertEqual(long.withTag('op', 'generate').toFilename(), name, 'Hashed name should be deterministic');
+  assert(long.withTag('op', 'extract').toFilename() !== name, 'Different URNs should get different hashed names');
+  assertThrows(() => TaggedUrn.fromFilename(name), ErrorCodes.INVALID_FORMAT, 'Hashed names cannot be decoded');
+
+  const short = long.toFilename({ maxLength: 64 });
+  assert(short.length <= 64, 'maxLength should bound the name');
+  assertThrows(() => long.toFilename({ maxLength: 10 }), ErrorCodes.INVALID_FORMAT, 'maxLength must leave room for the hash');
+
+  assertThrows(() => TaggedUrn.fromFilename('cap_3aOp'), ErrorCodes.INVALID_FORMAT, 'Uppercase is never produced');
+  assertThrows(() => TaggedUrn.fromFilename('cap_3ak_3d_c3'), ErrorCodes.INVALID_FORMAT, 'Truncated UTF-8 should fail');
+  assertThrows(() => TaggedUrn.fromFilename('cap_3'), ErrorCodes.INVALID_FORMAT, 'Truncated escape should fail');
+}
+
+// JS-only: Binary encoding round-trips URNs and batches
+function testJsOnly_binary_round_trip() {
+  const rand = seededRandom(11);
+  const pool = ['*', '?', '!', 'pdf', 'generate', '"Café Menu"', '"a;b=c"'];
+  const urns = [TaggedUrn.empty('cap'), TaggedUrn.fromString('media:')];
+  for (let i = 0; i < 50; i++) {
+    let s = rand() < 0.5 ? 'cap:' : 'media:';
+    const count = Math.floor(rand() * 5);
+    for (let j = 0; j < count; j++) {
+      s += `k${j}x=${pool[Math.floor(rand() * pool.length)]};`;
+    }
+    urns.push(TaggedUrn.fromString(s));
+  }
+
+  for (const urn of urns) {
+    const bytes = TaggedUrn.encodeBinary(urn);
+    assert(bytes instanceof Uint8Array, 'encodeBinary should return a Uint8Array');
+    assert(TaggedUrn.decodeBinary(bytes).equals(urn), `Binary round-trip failed for ${urn}`);
+    const token = TaggedUrn.encodeToken(urn);
+    assert(/^[A-Za-z0-9_-]*$/.test(token), `Token should be base64url: ${token}`);
+    assertEqual(token, Buffer.from(bytes).toString('base64url'), 'Token should match standard base64url');
+    assert(TaggedUrn.decodeToken(token).equals(urn), `Token round-trip failed for ${urn}`);
+  }
+
+  const batch = TaggedUrn.encodeBinaryBatch(urns);
+  const decoded = TaggedUrn.decodeBinaryBatch(batch);
+  assertEqual(decoded.length, urns.length, 'Batch should keep every URN');
+  decoded.forEach((urn, i) => assert(urn.equals(urns[i]), `Batch round-trip failed at ${i}`));
+  const separate = urns.reduce((total, urn) => total + TaggedUrn.encodeBinary(urn).length, 0);
+  assert(batch.length < separate, 'Shared dictionary should make batches smaller');
+  assertEqual(TaggedUrn.decodeBinaryBatch(TaggedUrn.encodeBinaryBatch([])).length, 0, 'Empty batch');
+
+  const urn = TaggedUrn.fromString('cap:op=generate;ext=pdf');
+  assert(TaggedUrn.decodeBinary(Buffer.from(TaggedUrn.encodeBinary(urn))).equals(urn), 'Buffer input');
+  assert(TaggedUrn.decodeBinary(TaggedUrn.encodeBinary(urn).buffer).equals(urn), 'ArrayBuffer input');
+}
+
+// JS-only: Corrupt binary input is rejected rather than producing an invalid URN
+function testJsOnly_binary_corrupt_input() {
+  const urn = TaggedUrn.fromString('cap:op=generate;ext=pdf');
+  const bytes = TaggedUrn.encodeBinary(urn);
+
+  for (let length = 0; length < bytes.length; length++) {
+    assertThrows(() => TaggedUrn.decodeBinary(bytes.subarray(0, length)), ErrorCodes.INVALID_FORMAT, `Truncation at ${length} should fail`);
+  }
+  assertThrows(() => TaggedUrn.decodeBinary(Uint8Array.from([...bytes, 0])), ErrorCodes.INVALID_FORMAT, 'Trailing bytes');
+  assertThrows(() => TaggedUrn.decodeBinary(Uint8Array.from([0x20, ...bytes.subarray(1)])), ErrorCodes.INVALID_FORMAT, 'Unknown version');
+  assertThrows(() => TaggedUrn.decodeBinaryBatch(bytes), ErrorCodes.INVALID_FORMAT, 'Single URN is not a batch');
+  assertThrows(() => TaggedUrn.decodeBinary(TaggedUrn.encodeBinaryBatch([urn])), ErrorCodes.INVALID_FORMAT, 'Batch is not a single URN');
+  assertThrows(() => TaggedUrn.decodeBinary('cap:op=generate'), ErrorCodes.INVALID_FORMAT, 'Strings are not binary');
+
+  // header, prefix "cap", one tag: key "k", literal value of the given bytes
+  const single = (key, valueBytes) => Uint8Array.from([0x10, 3, 99, 97, 112, 1, key.length, ...Buffer.from(key), 3 + valueBytes.length, ...valueBytes]);
+  assert(TaggedUrn.decodeBinary(single('k', [118])).equals(TaggedUrn.fromString('cap:k=v')), 'Hand-built encoding');
+  assertThrows(() => TaggedUrn.decodeBinary(single('k', [0xc3])), ErrorCodes.INVALID_FORMAT, 'Invalid UTF-8');
+  assertThrows(() => TaggedUrn.decodeBinary(single('k', [])), ErrorCodes.EMPTY_TAG, 'Empty value');
+  assertThrows(() => TaggedUrn.decodeBinary(single('12', [118])), ErrorCodes.NUMERIC_KEY, 'Numeric key');
+  assertThrows(() => TaggedUrn.decodeBinary(single('a;b', [118])), ErrorCodes.INVALID_CHARACTER, 'Invalid key character');
+  const duplicate = Uint8Array.from([0x10, 3, 99, 97, 112, 2, 1, 107, 0, 1, 107, 1]);
+  assertThrows(() => TaggedUrn.decodeBinary(duplicate), ErrorCodes.DUPLICATE_KEY, 'Duplicate key');
+  const spacedPrefix = Uint8Array.from([0x10, 4, 0x20, 99, 97, 112, 0]);
+  assertThrows(() => TaggedUrn.decodeBinary(spacedPrefix), ErrorCodes.WHITESPACE_IN_INPUT, 'Prefix that fromString would reject');
+  assertThrows(() => TaggedUrn.decodeBinary(Uint8Array.from([0x10, 5, 99, 97, 112, 58, 107, 0])), ErrorCodes.INVALID_CHARACTER, 'Prefix containing :');
+  assertThrows(() => TaggedUrn.decodeBinaryBatch(Uint8Array.from([0x11, 0, 1, 5, 0])), ErrorCodes.INVALID_FORMAT, 'Dictionary index out of range');
+
+  assertThrows(() => TaggedUrn.decodeToken('A'), ErrorCodes.INVALID_FORMAT, 'Impossible token length');
+  assertThrows(() => TaggedUrn.decodeToken('AQ+A'), ErrorCodes.INVALID_FORMAT, 'Non-url-safe character');
+
+  // Each URN has exactly one token: the unused low bits of the last character must be zero
+  const short = TaggedUrn.fromString('cap:ab');
+  const token = TaggedUrn.encodeToken(short);
+  assertEqual(token, 'EANjYXABAmFiAA', 'Ten bytes end in a character with four padding bits');
+  for (const alias of ['EANjYXABAmFiAB', 'EANjYXABAmFiAI', 'EANjYXABAmFiAP']) {
+    assertThrows(() => TaggedUrn.decodeToken(alias), ErrorCodes.INVALID_FORMAT, `Non-zero padding bits in ${alias}`);
+  }
+  assertThrows(() => TaggedUrn.decodeToken('AQB'), ErrorCodes.INVALID_FORMAT, 'Non-zero padding bits after two bytes');
+  assert(TaggedUrn.decodeToken(token).equals(short), 'Canonical token still decodes');
+
+  // Values that have no exact UTF-8 form are rejected rather than silently replaced
+  const lone = new TaggedUrn('cap', { k: 'a\uD800b' });
+  assertThrows(() => TaggedUrn.encodeBinary(lone), ErrorCodes.INVALID_CHARACTER, 'Lone high surrogate');
+  assertThrows(() => TaggedUrn.encodeBinary(new TaggedUrn('cap', { k: '\uDC00' })), ErrorCodes.INVALID_CHARACTER, 'Lone low surrogate');
+  assertThrows(() => TaggedUrn.encodeBinaryBatch([urn, lone]), ErrorCodes.INVALID_CHARACTER, 'Lone surrogate in a batch');
+  assertThrows(() => TaggedUrn.encodeToken(lone), ErrorCodes.INVALID_CHARACTER, 'Lone surrogate in a token');
+  const paired = new TaggedUrn('cap', { k: '\u{1F600}' });
+  assert(TaggedUrn.decodeBinary(TaggedUrn.encodeBinary(paired)).equals(paired), 'Surrogate pairs are fine');
+}
+
+// JS-only: hash() is FNV-1a 64 and digest() is SHA-256, both over the UTF-8 canonical form
+function testJsOnly_hash_and_digest() {
+  // Reference vectors, shared with the other language ports
+  const urn = TaggedUrn.fromString('cap:op=generate;ext=pdf');
+  assertEqual(urn.hash(), 'd4cc75637207428b', 'FNV-1a 64 of cap:ext=pdf;op=generate');
+  assertEqual(urn.digest(), 'fba16985eeb4fd327652459068822cbef0e8494cc31160085feb6b18ccfbe5c2', 'SHA-256 of cap:ext=pdf;op=generate');
+  assertEqual(TaggedUrn.empty('cap').hash(), 'b55aa490e875b8d3', 'FNV-1a 64 of cap:');
+  assertEqual(TaggedUrn.empty('cap').digest(), '965c356a1310d6eca107a1d2a9dde309e1cda84060ee170c6fba2c82d286a100', 'SHA-256 of cap:');
+
+  assertEqual(TaggedUrn.fromString('CAP:OP=generate;ext=pdf;').hash(), urn.hash(), 'Equal URNs should hash the same');
+  assertEqual(TaggedUrn.fromString('CAP:OP=generate;ext=pdf;').digest(), urn.digest(), 'Equal URNs should digest the same');
+  assert(urn.hash() !== urn.withTag('ext', 'docx').hash(), 'Different URNs should hash differently');
+
+  // Cross-check both algorithms against Node's implementations on random URNs, including
+  // non-ASCII values and canonical forms spanning several SHA-256 blocks
+  const crypto = require('crypto');
+  const rand = seededRandom(12);
+  const hashes = new Map();
+  for (let i = 0; i < 200; i++) {
+    let s = 'cap:';
+    const count = Math.floor(rand() * 8);
+    for (let j = 0; j < count; j++) {
+      s += `k${j}x="${'Välue-'.repeat(1 + Math.floor(rand() * 10))}${Math.floor(rand() * 1e6)}";`;
+    }
+    const random = TaggedUrn.fromString(s);
+    const canonical = random.toString();
+    assert(/^[0-9a-f]{16}$/.test(random.hash()), 'hash() should be 16 hex digits');
+    assertEqual(random.digest(), crypto.createHash('sha256').update(canonical, 'utf8').digest('hex'), `SHA-256 mismatch for ${canonical}`);
+    const previous = hashes.get(random.hash());
+    assert(previous === undefined || previous === canonical, `Hash collision between ${previous} and ${canonical}`);
+    hashes.set(random.hash(), canonical);
+  }
+
+  // Astral characters are plain UTF-8; lone surrogates are hashed as WTF-8, not as U+FFFD
+  const astral = TaggedUrn.fromString('cap:k="\u{1F600}"');
+  assertEqual(astral.digest(), crypto.createHash('sha256').update(astral.toString(), 'utf8').digest('hex'), 'Astral values are UTF-8');
+  const lone = new TaggedUrn('cap', { k: '\uD800' });
+  const replaced = new TaggedUrn('cap', { k: '\uFFFD' });
+  assert(lone.hash() !== replaced.hash(), 'Lone surrogate should not hash like U+FFFD');
+  assert(lone.digest() !== replaced.digest(), 'Lone surrogate should not digest like U+FFFD');
+  const wtf8 = Buffer.concat([Buffer.from('cap:k="'), Buffer.from([0xed, 0xa0, 0x80]), Buffer.from('"')]);
+  assertEqual(lone.digest(), crypto.createHash('sha256').update(wtf8).digest('hex'), 'Lone surrogate is digested as its WTF-8 bytes');
+  assert(new TaggedUrn('cap', { k: '\uDC00\uD800' }).hash() !== new TaggedUrn('cap', { k: '\u{10000}' }).hash(), 'Reversed halves are not a pair');
+}
+
+// JS-only: UrnMap keys by canonical equality and keeps the first key URN
+function testJsOnly_urn_map() {
+  const first = TaggedUrn.fromString('cap:op=generate;ext=pdf');
+  const map = new UrnMap([[first, 1]]);
+  map.set('CAP:ext=pdf;OP=generate;', 2);
+  assertEqual(map.size, 1, 'Equal URNs should share an entry');
+  assertEqual(map.get(TaggedUrn.fromString('cap:ext=pdf;op=generate')), 2, 'Lookup by an equal URN');
+  assert([...map.keys()][0] === first, 'The first key URN should be kept');
+  assert(map.has('cap:op=generate;ext=pdf'), 'Lookup by string');
+  assert(!map.has('cap:op=generate'), 'Different URN should be absent');
+  assert(!map.has('cap:ext="PDF";op=generate'), 'Quoted case should stay distinct');
+  assertEqual(map.get('cap:op=generate'), undefined, 'Missing key should give undefined');
+
+  map.set('cap:op=extract', 3).set('media:pdf', 4);
+  assertDeepEqual([...map.values()], [2, 3, 4], 'Values in insertion order');
+  assertDeepEqual([...map].map(([urn, value]) => `${urn}=${value}`), ['cap:ext=pdf;op=generate=2', 'cap:op=extract=3', 'media:pdf=4'], 'Entries');
+  const seen = [];
+  map.forEach((value, urn, self) => {
+    assert(self === map, 'forEach should pass the map');
+    seen.push(value);
+  });
+  assertDeepEqual(seen, [2, 3, 4], 'forEach order');
+
+  assert(map.delete('cap:op=extract'), 'Delete should report removal');
+  assert(!map.delete('cap:op=extract'), 'Second delete should report nothing removed');
+  map.clear();
+  assertEqual(map.size, 0, 'Clear should empty the map');
+
+  assertThrows(() => map.set('cap:a=1;a=2', 1), ErrorCodes.DUPLICATE_KEY, 'Invalid URN string keys should throw');
+  assertThrows(() => map.get(42), ErrorCodes.INVALID_FORMAT, 'Non-URN keys should throw');
+}
+
+// JS-only: UrnSet membership, set operations and minimal cover
+function testJsOnly_urn_set() {
+  const set = new UrnSet(['cap:op=generate;ext=pdf', 'cap:ext=pdf;op=generate', 'cap:op=extract']);
+  assertEqual(set.size, 2, 'Equal URNs should be one member');
+  assert(set.has(TaggedUrn.fromString('cap:ext=pdf;op=generate')), 'Membership by equality');
+  assertDeepEqual([...set].map(String), ['cap:ext=pdf;op=generate', 'cap:op=extract'], 'Insertion order');
+  assertDeepEqual([...set.entries()].map(([a, b]) => a === b), [true, true], 'Entries pair each member with itself');
+
+  const other = new UrnSet(['cap:op=extract', 'media:pdf']);
+  assertDeepEqual([...set.union(other)].map(String), ['cap:ext=pdf;op=generate', 'cap:op=extract', 'media:pdf'], 'Union');
+  assertDeepEqual([...set.intersection(other)].map(String), ['cap:op=extract'], 'Intersection');
+  assertDeepEqual([...set.difference(['CAP:OP=extract'])].map(String), ['cap:ext=pdf;op=generate'], 'Difference with strings');
+  assertEqual(set.size, 2, 'Set operations should not modify the set');
+
+  const cover = new UrnSet([
+    'cap:op=generate;ext=pdf',
+    'cap:op=generate',
+    'cap:op=extract;ext=pdf',
+    'cap:op=convert;target=thumbnail;ext=png',
+    'cap:op=convert;target=thumbnail',
+    'cap:op=generate;target=thumbnail',
+    'media:pdf'
+  ]).minimalCover();
+  assertDeepEqual(
+    [...cover].map(String),
+    ['cap:op=generate', 'cap:ext=pdf;op=extract', 'cap:op=convert;target=thumbnail', 'media:pdf'],
+    'Members accepted by another member should be dropped'
+  );
+
+  // Mutually accepting members: the first added is kept
+  assertDeepEqual([...new UrnSet(['cap:k=?', 'cap:']).minimalCover()].map(String), ['cap:k=?'], 'First of a mutual pair kept');
+  assertDeepEqual([...new UrnSet(['cap:', 'cap:k=?']).minimalCover()].map(String), ['cap:'], 'First of a mutual pair kept (reversed)');
+
+  // accepts is not transitive: cap:ext=pdf accepts cap:ext=?, which accepts cap:ext=docx,
+  // so a member may only be dropped for one that stays in the cover
+  const members = ['cap:ext=pdf', 'cap:ext=?', 'cap:ext=docx'];
+  const partial = new UrnSet(members).minimalCover();
+  assertDeepEqual([...partial].map(String), ['cap:ext=?'], 'The widest member covers the others');
+  for (const member of members) {
+    const urn = TaggedUrn.fromString(member);
+    assert([...partial].some(kept => kept.accepts(urn)), `${member} should be accepted by the cover`);
+  }
+
+  // accepts does not follow specificity: the more specific cap:b=x accepts cap:a;b=?, not the reverse
+  assertDeepEqual([...new UrnSet(['cap:b=x', 'cap:a;b=?']).minimalCover()].map(String), ['cap:b=x'], 'Specific member covering a wider one');
+  assertDeepEqual([...new UrnSet(['cap:a;b=?', 'cap:b=x']).minimalCover()].map(String), ['cap:b=x'], 'Same cover in either order');
+
+  // The cover always accepts every member, and no kept member can be dropped
+  const rand = seededRandom(13);
+  const values = ['x', 'y', '*', '?', '!'];
+  for (let round = 0; round < 50; round++) {
+    const set = new UrnSet();
+    for (let i = 0; i < 6; i++) {
+      const tags = {};
+      for (const key of ['a', 'b']) {
+        if (rand() < 0.6) {
+          tags[key] = values[Math.floor(rand() * values.length)];
+        }
+      }
+      set.add(new TaggedUrn('cap', tags));
+    }
+    const kept = [...set.minimalCover()];
+    const coveredBy = (cover) => [...set].every(urn => cover.some(k => k.accepts(urn)));
+    assert(coveredBy(kept), `Cover of ${[...set].join(' ')} should accept every member`);
+    for (const urn of kept) {
+      assert(!coveredBy(kept.filter(k => k !== urn)), `${urn} should be needed in the cover of ${[...set].join(' ')}`);
+    }
+  }
+}
+
+// JS-only: Interning returns one instance per equivalent URN, with LRU bounds and statistics
+function testJsOnly_interning() {
+  const interner = new UrnInterner({ maxSize: 4 });
+  const a = interner.intern('cap:op=generate;ext=pdf');
+  assert(interner.intern('cap:op=generate;ext=pdf') === a, 'Same raw string should return the same instance');
+  assert(interner.intern('CAP:ext=pdf;OP=generate;') === a, 'Equivalent spelling should return the same instance');
+  assert(interner.intern(TaggedUrn.fromString('cap:ext=pdf;op=generate')) === a, 'Equivalent URN should return the same instance');
+  assert(Object.isFrozen(a), 'Interned instances are frozen');
+  assertDeepEqual(interner.stats(), { hits: 2, misses: 2, evictions: 0, size: 3, maxSize: 4 }, 'Stats after interning');
+
+  interner.intern('cap:op=extract');
+  assertEqual(interner.size, 4, 'A canonical input is cached once');
+  interner.intern('cap:OP=extract');
+  assertEqual(interner.stats().evictions, 1, 'Exceeding maxSize should evict');
+  assert(interner.size <= interner.maxSize, 'Size should stay within maxSize');
+
+  // The least recently used key goes first
+  const lru = new UrnInterner({ maxSize: 2 });
+  const x = lru.intern('cap:x');
+  lru.intern('cap:y');
+  lru.intern('cap:x');
+  lru.intern('cap:z');
+  assert(lru.intern('cap:x') === x, 'Recently used entry should survive');
+  assertEqual(lru.stats().hits, 2, 'Hits counted');
+
+  lru.maxSize = 1;
+  assertEqual(lru.size, 1, 'Lowering maxSize should evict');
+  lru.clear();
+  assertDeepEqual(lru.stats(), { hits: 0, misses: 0, evictions: 0, size: 0, maxSize: 1 }, 'Clear resets entries and stats');
+
+  assertThrows(() => interner.intern('cap:a=1;a=2'), ErrorCodes.DUPLICATE_KEY, 'Invalid strings should throw');
+  assertThrows(() => new UrnInterner({ maxSize: 0 }), ErrorCodes.INVALID_FORMAT, 'maxSize must be positive');
+
+  assert(TaggedUrn.intern('cap:op=generate') === TaggedUrn.intern('cap:OP=generate'), 'Shared interner');
+  assert(TaggedUrn.interner instanceof UrnInterner, 'Shared interner is exposed');
+}
+
+// JS-only: Identity fast paths agree with the full comparison
+function testJsOnly_identity_fast_paths() {
+  for (const s of ['cap:', 'cap:a=x;b=*;c=?;d=!', 'cap:k="Quoted"']) {
+    const urn = TaggedUrn.intern(s);
+    assert(urn.equals(urn), `${s} should equal itself`);
+    assert(urn.accepts(urn) && urn.conformsTo(urn), `${s} should match itself`);
+    assert(urn.accepts(TaggedUrn.fromString(s)), `${s} should match a separate parse`);
+  }
+  const shared = TaggedUrn.fromString('cap:op=generate').withTag('ext', 'pdf');
+  assertThrows(() => TaggedUrn._checkMatch(shared.tags, 'cap', shared.tags, 'media'), ErrorCodes.PREFIX_MISMATCH, 'Prefix is still checked');
+}
+
+// JS-only: Diagnostics count code points, not UTF-16 units, after astral characters
+function testJsOnly_parse_positions_after_astral_characters() {
+  const input = 'cap:a="\u{1F600}\u{1F600}";b=x#;c="\\\u{1F600}";d';
+  const { urn, errors } = TaggedUrn.tryParse(input);
+  assertDeepEqual(
+    errors.map(e => [e.code, e.position, e.character, e.state]),
+    [
+      [ErrorCodes.INVALID_CHARACTER, 14, '#', ParseState.IN_UNQUOTED_VALUE],
+      [ErrorCodes.INVALID_ESCAPE_SEQUENCE, 20, '\u{1F600}', ParseState.IN_QUOTED_VALUE_ESCAPE]
+    ],
+    'Positions and characters should be whole code points'
+  );
+  assertEqual(urn.toString(), 'cap:a="\u{1F600}\u{1F600}";d', 'Recovery should keep the valid tags');
+  assertEqual(errors[1].formatSnippet().split('\n')[1], `${' '.repeat(20)}^`, 'Caret should sit under the escaped character');
+
+  const keyError = catchError(() => TaggedUrn.fromString('\u{1F600}:k\u{1F600}'));
+  assertEqual(keyError.character, '\u{1F600}', 'Key error should report the whole code point');
+  assertEqual(keyError.position, 3, 'Key error position counts the astral prefix as one');
+  assertEqual(catchError(() => TaggedUrn.fromString('\u{1F600}ca')).position, 3, 'Missing prefix position counts code points');
+  assertEqual(catchError(() => TaggedUrn.fromString('cap:k="\u{1F600}')).position, 8, 'Unterminated quote position counts code points');
+}
+
+// JS-only: compile() agrees with accepts() on every value combination
+function testJsOnly_compiled_pattern_matches_accepts() {
+  const values = [undefined, 'x', 'y', '*', '?', '!'];
+  const build = (picks) => {
+    const tags = {};
+    picks.forEach((value, i) => {
+      if (value !== undefined) {
+        tags[`k${i}x`] = value;
+      }
+    });
+    return new TaggedUrn('cap', tags);
+  };
+
+  // Exhaustive over two keys: every instance/pattern value pair on each key
+  const urns = [];
+  for (const a of values) {
+    for (const b of values) {
+      urns.push(build([a, b]));
+    }
+  }
+  for (const pattern of urns) {
+    const matches = pattern.compile();
+    for (const instance of urns) {
+      assertEqual(matches(instance), pattern.accepts(instance), `compile() disagrees for ${pattern} accepting ${instance}`);
+    }
+  }
+
+  // Random over more keys, including derived instances with removed tags
+  const rand = seededRandom(16);
+  const pick = () => values[Math.floor(rand() * values.length)];
+  for (let i = 0; i < 300; i++) {
+    const pattern = build([pick(), pick(), pick(), pick(), pick()]);
+    const matches = pattern.compile();
+    for (let j = 0; j < 20; j++) {
+      let instance = build([pick(), pick(), pick(), pick(), pick()]);
+      if (rand() < 0.3) {
+        instance = instance.withoutTag('k0x').withTag('k5x', 'z');
+      }
+      assertEqual(matches(instance), pattern.accepts(instance), `compile() disagrees for ${pattern} accepting ${instance}`);
+    }
+  }
+
+  const matches = TaggedUrn.fromString('cap:op=generate').compile();
+  assert(matches(TaggedUrn.fromString('cap:op=generate;ext=pdf')), 'Compiled pattern should accept a matching instance');
+  const mismatch = catchError(() => matches(TaggedUrn.fromString('media:op=generate')));
+  assertEqual(mismatch.code, ErrorCodes.PREFIX_MISMATCH, 'Compiled pattern should reject other prefixes');
+  assertEqual(
+    mismatch.message,
+    catchError(() => TaggedUrn.fromString('cap:op=generate').accepts(TaggedUrn.fromString('media:op=generate'))).message,
+    'Prefix mismatch should be reported like accepts()'
+  );
+  assertThrows(() => matches(null), ErrorCodes.INVALID_FORMAT, 'Null instance should throw');
+}
+
+// JS-only: UrnIndex gives the same answers as the linear UrnMatcher scan
+function testJsOnly_urn_index_matches_linear_scan() {
+  const rand = seededRandom(17);
+  const values = [undefined, undefined, 'x', 'y', 'z', '*', '?', '!'];
+  const random = () => {
+    const tags = {};
+    for (const key of ['op', 'ext', 'lang', 'target']) {
+      const value = values[Math.floor(rand() * values.length)];
+      if (value !== undefined) {
+        tags[key] = value;
+      }
+    }
+    return new TaggedUrn('cap', tags);
+  };
+
+  const index = new UrnIndex();
+  const registered = [];
+  for (let round = 0; round < 40; round++) {
+    for (let i = 0; i < 10; i++) {
+      const urn = random();
+      index.add(urn);
+      registered.push(urn);
+    }
+    if (round % 3 === 2) {
+      const victim = registered[Math.floor(rand() * registered.length)];
+      assert(index.remove(TaggedUrn.fromString(victim.toString())), 'Removing a registered URN should succeed');
+      for (let i = registered.length - 1; i >= 0; i--) {
+        if (registered[i].equals(victim)) {
+          registered.splice(i, 1);
+        }
+      }
+    }
+    assertEqual(index.size, registered.length, 'Index size should follow adds and removes');
+    assertDeepEqual([...index], registered, 'Index should iterate in registration order');
+
+    for (let q = 0; q < 25; q++) {
+      const request = random();
+      const expected = UrnMatcher.findAllMatches(registered, request);
+      const actual = index.findAllMatches(request);
+      assertEqual(actual.length, expected.length, `Match count for ${request}`);
+      actual.forEach((urn, i) => assert(urn === expected[i], `Match order for ${request} at ${i}`));
+      assert(index.findBestMatch(request) === UrnMatcher.findBestMatch(registered, request), `Best match for ${request}`);
+    }
+  }
+
+  assert(!index.remove(TaggedUrn.fromString('cap:unknown')), 'Removing an unknown URN should report nothing removed');
+  index.clear();
+  assertEqual(index.size, 0, 'Clear should empty the index');
+  assertEqual(index.findBestMatch(TaggedUrn.fromString('media:')), null, 'Empty index has no matches');
+}
+
+// JS-only: UrnIndex reports prefix mismatches like the linear scan
+function testJsOnly_urn_index_prefix_mismatch() {
+  const urns = [TaggedUrn.fromString('cap:op=generate'), TaggedUrn.fromString('media:pdf')];
+  const index = new UrnIndex(urns);
+  const request = TaggedUrn.fromString('cap:op=generate');
+  const expected = catchError(() => UrnMatcher.findAllMatches(urns, request));
+  const actual = catchError(() => index.findAllMatches(request));
+  assertEqual(actual.code, ErrorCodes.PREFIX_MISMATCH, 'Mixed prefixes should throw');
+  assertEqual(actual.message, expected.message, 'Same error as the linear scan');
+  assertThrows(() => index.findBestMatch(TaggedUrn.fromString('other:')), ErrorCodes.PREFIX_MISMATCH, 'Foreign request prefix should throw');
+
+  index.remove(TaggedUrn.fromString('media:pdf'));
+  assertEqual(index.findBestMatch(request).toString(), 'cap:op=generate', 'Removing the foreign entry should allow matching');
+  assertThrows(() => index.add('cap:op=generate'), ErrorCodes.INVALID_FORMAT, 'Entries must be TaggedUrn instances');
+}
+
+// JS-only: Match order breaks ties by specificity tuple, then canonical form
+function testJsOnly_match_tie_breaking() {
+  const request = TaggedUrn.fromString('cap:');
+  const exact = TaggedUrn.fromString('cap:a=x');        // 3, (1, 0, 0)
+  const mixed = TaggedUrn.fromString('cap:b;c=!');      // 3, (0, 1, 1)
+  const other = TaggedUrn.fromString('cap:b=x');        // 3, (1, 0, 0)
+  const weak = TaggedUrn.fromString('cap:z=!');         // 1, (0, 0, 1)
+
+  assert(UrnMatcher.findBestMatch([mixed, exact], request) === exact, 'Tuple should break a specificity tie');
+  assert(UrnMatcher.findBestMatch([other, exact], request) === exact, 'Canonical form should break a tuple tie');
+  assertDeepEqual(
+    UrnMatcher.findAllMatches([weak, other, mixed, exact], request).map(String),
+    ['cap:a=x', 'cap:b=x', 'cap:b;c=!', 'cap:z=!'],
+    'findAllMatches should use the same order'
+  );
+
+  // Canonical order is by code point, not UTF-16 unit
+  const astral = TaggedUrn.fromString('cap:k="\u{1F600}"');
+  const bmp = TaggedUrn.fromString('cap:k="\uFF01"');
+  assertDeepEqual(UrnMatcher.findAllMatches([astral, bmp], request), [bmp, astral], 'Code point order');
+
+  // The result never depends on the order of the input
+  const rand = seededRandom(18);
+  const values = [undefined, 'x', 'y', '*', '?', '!'];
+  const urns = [];
+  for (let i = 0; i < 60; i++) {
+    const tags = {};
+    for (const key of ['a', 'b', 'c']) {
+      const value = values[Math.floor(rand() * values.length)];
+      if (value !== undefined) {
+        tags[key] = value;
+      }
+    }
+    urns.push(new TaggedUrn('cap', tags));
+  }
+  const requests = ['cap:', 'cap:a', 'cap:a=x', 'cap:b=!'].map(s => TaggedUrn.fromString(s));
+  for (const req of requests) {
+    const expectedAll = UrnMatcher.findAllMatches(urns, req).map(String);
+    const expectedBest = String(UrnMatcher.findBestMatch(urns, req));
+    for (let round = 0; round < 5; round++) {
+      const shuffled = [...urns].sort(() => rand() - 0.5);
+      assertDeepEqual(UrnMatcher.findAllMatches(shuffled, req).map(String), expectedAll, `Order independence for ${req}`);
+      assertEqual(String(UrnMatcher.findBestMatch(shuffled, req)), expectedBest, `Best match independence for ${req}`);
+      assertEqual(String(new UrnIndex(shuffled).findBestMatch(req)), expectedBest, `Index best match independence for ${req}`);
+    }
+    // The one-pass best match is the head of the full ranking, for every strategy
+    const strategies = [undefined, RankingStrategies.leastSpecific, RankingStrategies.registrationPriority, () => 0];
+    for (const ranking of strategies) {
+      const all = UrnMatcher.findAllMatches(urns, req, { ranking });
+      const best = UrnMatcher.findBestMatch(urns, req, { ranking });
+      assert(best === (all.length > 0 ? all[0] : null), `findBestMatch should be the first of findAllMatches for ${req}`);
+      assert(new UrnIndex(urns).findBestMatch(req, { ranking }) === best, `Index best match should agree for ${req}`);
+    }
+  }
+}
+
+// JS-only: findBestMatchStrict reports distinct URNs tied on specificity
+function testJsOnly_find_best_match_strict() {
+  const request = TaggedUrn.fromString('cap:op=generate');
+  const pdf = TaggedUrn.fromString('cap:op=generate;ext=pdf');
+  const png = TaggedUrn.fromString('cap:op=generate;ext=png');
+  const generic = TaggedUrn.fromString('cap:op=generate');
+
+  assert(UrnMatcher.findBestMatchStrict([generic, pdf], request) === pdf, 'A unique best match is returned');
+  assertEqual(UrnMatcher.findBestMatchStrict([TaggedUrn.fromString('cap:op=extract')], request), null, 'No match gives null');
+  assert(UrnMatcher.findBestMatchStrict([pdf, TaggedUrn.fromString('cap:ext=pdf;op=generate')], request).equals(pdf), 'Equal URNs are not ambiguous');
+
+  const error = catchError(() => UrnMatcher.findBestMatchStrict([png, generic, pdf], request));
+  assertEqual(error.code, ErrorCodes.AMBIGUOUS_MATCH, 'Tied URNs should be ambiguous');
+  assertDeepEqual(error.candidates, [pdf, png], 'Candidates should list the tied URNs in match order');
+  assert(error.message.includes('cap:ext=pdf;op=generate') && error.message.includes('cap:ext=png;op=generate'), 'Message should name the candidates');
+
+  const indexError = catchError(() => new UrnIndex([png, generic, pdf]).findBestMatchStrict(request));
+  assertEqual(indexError.code, ErrorCodes.AMBIGUOUS_MATCH, 'UrnIndex should report the same ambiguity');
+  assertDeepEqual(indexError.candidates, [pdf, png], 'UrnIndex candidates');
+}
+
+// JS-only: Ranking strategies and scored results
+function testJsOnly_ranking_strategies() {
+  const request = TaggedUrn.fromString('cap:op=generate');
+  const generic = TaggedUrn.fromString('cap:op=generate');                      // 3
+  const variant = TaggedUrn.fromString('cap:op=generate;variant=a;style=b');    // 9
+  const pdf = TaggedUrn.fromString('cap:op=generate;ext=pdf');                  // 6
+  const urns = [variant, generic, pdf];
+
+  assertDeepEqual(
+    UrnMatcher.findAllMatches(urns, request, { withScores: true }),
+    [{ urn: variant, score: 9, index: 0 }, { urn: pdf, score: 6, index: 2 }, { urn: generic, score: 3, index: 1 }],
+    'Default ranking reports specificity scores and input positions'
+  );
+  assertDeepEqual(
+    UrnMatcher.findAllMatches(urns, request, { ranking: RankingStrategies.leastSpecific }),
+    [generic, pdf, variant],
+    'leastSpecific puts the most general match first'
+  );
+  assert(UrnMatcher.findBestMatch(urns, request, { ranking: RankingStrategies.registrationPriority }) === variant, 'registrationPriority picks the first registered');
+  assert(UrnMatcher.findBestMatch([generic, pdf, variant], request, { ranking: RankingStrategies.registrationPriority }) === generic, 'registrationPriority follows input order');
+
+  // ext matters far more than variant and style
+  const weighted = RankingStrategies.weighted({ cap: { ext: { exact: 20 }, variant: 0, style: 0 } });
+  assertDeepEqual(
+    UrnMatcher.findAllMatches(urns, request, { ranking: weighted, withScores: true }).map(r => [r.urn, r.score]),
+    [[pdf, 23], [generic, 3], [variant, 3]],
+    'Weighted grades should reorder matches and report weighted scores'
+  );
+  const scaled = RankingStrategies.weighted({ cap: { op: 10 } }, { exact: 1, mustHaveAny: 1, mustNot: 1 });
+  assertEqual(scaled.score(TaggedUrn.fromString('cap:op=x;ext;neg=!;unk=?')), 10 + 1 + 1, 'A number scales the default grades');
+  assertEqual(weighted.score(TaggedUrn.fromString('media:ext=pdf')), 3, 'Other prefixes use the default grades');
+  assertThrows(() => RankingStrategies.weighted({ cap: { op: { exactly: 1 } } }), ErrorCodes.INVALID_FORMAT, 'Unknown grade names are rejected');
+  assertThrows(() => RankingStrategies.weighted({ cap: { op: 'high' } }), ErrorCodes.INVALID_FORMAT, 'Weights must be numbers or grade objects');
+
+  // Custom comparator over { urn, score, index }: fewest tags first; ties fall back to canonical form
+  const fewestTags = (a, b) => a.urn.tags.size - b.urn.tags.size;
+  assertDeepEqual(UrnMatcher.findAllMatches(urns, request, { ranking: fewestTags }), [generic, pdf, variant], 'Custom comparator');
+  const strictError = catchError(() => UrnMatcher.findBestMatchStrict(
+    [TaggedUrn.fromString('cap:op=generate;ext=png'), pdf], request, { ranking: fewestTags }
+  ));
+  assertEqual(strictError.code, ErrorCodes.AMBIGUOUS_MATCH, 'Strict matching reports ties under a custom ranking');
+  assertThrows(() => UrnMatcher.findBestMatch(urns, request, { ranking: 'mostSpecific' }), ErrorCodes.INVALID_FORMAT, 'Unknown ranking values are rejected');
+
+  // UrnIndex takes the same options
+  const index = new UrnIndex(urns);
+  assertDeepEqual(index.findAllMatches(request, { ranking: weighted }), [pdf, generic, variant], 'UrnIndex weighted ranking');
+  assert(index.findBestMatch(request, { ranking: RankingStrategies.registrationPriority }) === variant, 'UrnIndex registration priority');
+  assertDeepEqual(index.findAllMatches(request, { withScores: true }).map(r => r.score), [9, 6, 3], 'UrnIndex scores');
+}
+
+// JS-only: explainMatch gives a per-key breakdown that agrees with conformsTo
+function testJsOnly_explain_match() {
+  const instance = TaggedUrn.fromString('cap:op=generate;ext=pdf;draft=!');
+  const pattern = TaggedUrn.fromString('cap:op=extract;ext;lang=?;draft');
+  const explanation = instance.explainMatch(pattern);
+  assertEqual(explanation.matches, false, 'Verdict');
+  assertEqual(explanation.prefix, 'cap', 'Prefix');
+  assertDeepEqual(
+    explanation.keys.map(k => [k.key, k.instance, k.pattern, k.matches, k.rule]),
+    [
+      ['draft', '!', '*', false, 'ABSENT_BUT_PRESENT_WANTED'],
+      ['ext', 'pdf', '*', true, 'PRESENT_AS_WANTED'],
+      ['lang', undefined, '?', true, 'PATTERN_UNSPECIFIED'],
+      ['op', 'generate', 'extract', false, 'VALUE_MISMATCH']
+    ],
+    'Per-key breakdown in canonical key order'
+  );
+  assertEqual(explanation.keys[3].reason, 'values differ', 'Readable reason');
+  assertDeepEqual(pattern.explainAccepts(instance), explanation, 'explainAccepts mirrors explainMatch');
+
+  // Every value pair: the verdict equals conformsTo, and each rule always gives the same outcome
+  const values = [undefined, 'x', 'y', '*', '?', '!'];
+  const urns = [];
+  for (const a of values) {
+    for (const b of values) {
+      const tags = {};
+      if (a !== undefined) {
+        tags.a = a;
+      }
+      if (b !== undefined) {
+        tags.b = b;
+      }
+      urns.push(new TaggedUrn('cap', tags));
+    }
+  }
+  const outcomes = new Map();
+  for (const inst of urns) {
+    for (const patt of urns) {
+      const result = inst.explainMatch(patt);
+      assertEqual(result.matches, inst.conformsTo(patt), `Verdict for ${inst} against ${patt}`);
+      for (const row of result.keys) {
+        if (outcomes.has(row.rule)) {
+          assertEqual(outcomes.get(row.rule), row.matches, `Rule ${row.rule} should have one outcome`);
+        }
+        outcomes.set(row.rule, row.matches);
+      }
+    }
+  }
+  assertEqual(outcomes.size, 13, 'Every truth-table rule should be reachable');
+
+  assertThrows(() => instance.explainMatch(TaggedUrn.fromString('media:')), ErrorCodes.PREFIX_MISMATCH, 'Prefix mismatch');
+  assertThrows(() => instance.explainMatch(null), ErrorCodes.INVALID_FORMAT, 'Null pattern');
+}
+
+// JS-only: intersect combines patterns or names the conflicting keys
+function testJsOnly_intersect() {
+  const f = s => TaggedUrn.fromString(s);
+  const met = TaggedUrn.intersect(f('cap:op=generate;ext'), f('cap:ext=pdf;lang=?'), f('cap:draft=!'));
+  assert(met.satisfiable, 'Compatible constraints are satisfiable');
+  assertEqual(met.urn.toString(), 'cap:draft=!;ext=pdf;op=generate', "'*' narrows to the exact value and '?' is dropped");
+  assertDeepEqual(met.conflicts, [], 'No conflicts');
+
+  const clash = TaggedUrn.intersect(f('cap:ext=pdf'), f('cap:ext=docx;x=!'), f('cap:x'));
+  assertEqual(clash.satisfiable, false, 'Contradictions are unsatisfiable');
+  assertEqual(clash.urn, null, 'No URN for an unsatisfiable intersection');
+  assertDeepEqual(
+    clash.conflicts,
+    [{ key: 'ext', values: ['pdf', 'docx'], inputs: [0, 1] }, { key: 'x', values: ['!', '*'], inputs: [1, 2] }],
+    'Each conflicting key names the disagreeing values and inputs'
+  );
+  assertEqual(TaggedUrn.intersect(f('cap:a=?')).urn.toString(), 'cap:', 'A single input loses only its ? tags');
+  assertEqual(TaggedUrn.intersect(f('cap:a'), f('cap:a=x')).urn.toString(), 'cap:a=x', 'URNs as arguments');
+  assertEqual(TaggedUrn.intersect(new Set([f('cap:a'), f('cap:a=x')])).urn.toString(), 'cap:a=x', 'A single iterable also works');
+  assertThrows(() => TaggedUrn.intersect(), ErrorCodes.INVALID_FORMAT, 'At least one URN is needed');
+  assertThrows(() => TaggedUrn.intersect([]), ErrorCodes.INVALID_FORMAT, 'An empty iterable has no URN');
+  assertThrows(() => TaggedUrn.intersect(f('cap:a'), 'cap:b'), ErrorCodes.INVALID_FORMAT, 'Strings are not URNs');
+  assertThrows(() => TaggedUrn.intersect('cap:a'), ErrorCodes.INVALID_FORMAT, 'A string is not an iterable of URNs');
+  assertThrows(() => TaggedUrn.intersect(f('cap:a'), null), ErrorCodes.INVALID_FORMAT, 'null is not a URN');
+  assertThrows(() => TaggedUrn.intersect([f('cap:a'), null]), ErrorCodes.INVALID_FORMAT, 'null in an iterable is not a URN');
+  assertThrows(() => TaggedUrn.intersect(f('cap:'), f('media:')), ErrorCodes.PREFIX_MISMATCH, 'Prefixes must match');
+
+  // Against concrete instances: the intersection accepts exactly what every input accepts
+  const patternValues = [undefined, 'x', 'y', '*', '?', '!'];
+  const concreteValues = [undefined, 'x', 'y'];
+  const build = (values, a, b) => {
+    const tags = {};
+    if (values[a] !== undefined) {
+      tags.a = values[a];
+    }
+    if (values[b] !== undefined) {
+      tags.b = values[b];
+    }
+    return new TaggedUrn('cap', tags);
+  };
+  const instances = [];
+  for (let a = 0; a < concreteValues.length; a++) {
+    for (let b = 0; b < concreteValues.length; b++) {
+      instances.push(build(concreteValues, a, b));
+    }
+  }
+  const rand = seededRandom(21);
+  const pick = () => Math.floor(rand() * patternValues.length);
+  for (let i = 0; i < 300; i++) {
+    const inputs = [];
+    const count = 1 + Math.floor(rand() * 3);
+    for (let j = 0; j < count; j++) {
+      inputs.push(build(patternValues, pick(), pick()));
+    }
+    const result = TaggedUrn.intersect(...inputs);
+    if (result.satisfiable) {
+      for (const input of inputs) {
+        assert(input.accepts(result.urn), `${input} should accept the intersection ${result.urn}`);
+      }
+    }
+    for (const instance of instances) {
+      const all = inputs.every(input => input.accepts(instance));
+      const accepted = result.satisfiable && result.urn.accepts(instance);
+      assertEqual(accepted, all, `Intersection of ${inputs.join(' & ')} on ${instance}`);
+    }
+  }
+}
+
+// JS-only: generalize computes the most specific pattern accepting every input
+function testJsOnly_generalize() {
+  const urns = [
+    'cap:op=generate;ext=pdf;lang=en',
+    'cap:op=generate;ext=docx;lang=en;draft',
+    'cap:op=generate;ext=png;lang=en'
+  ].map(s => TaggedUrn.fromString(s));
+  assertEqual(TaggedUrn.generalize(urns).toString(), 'cap:ext;lang=en;op=generate', 'Equal values kept, differing become *, partial keys dropped');
+  assertEqual(
+    TaggedUrn.generalize(urns, { partial: '?', absentKeys: ['Secret', 'lang'] }).toString(),
+    'cap:draft=?;ext;lang=en;op=generate;secret=!',
+    "partial '?' and absentKeys (ignored for keys that are present)"
+  );
+
+  const f = s => TaggedUrn.fromString(s);
+  assertEqual(TaggedUrn.generalize([f('cap:k=x'), f('cap:k=?')]).toString(), 'cap:k=x', "'?' inputs do not widen a key");
+  assertEqual(TaggedUrn.generalize([f('cap:k=x'), f('cap:k')]).toString(), 'cap:k=x', "'*' inputs accept the exact value");
+  assertEqual(TaggedUrn.generalize([f('cap:k=!'), f('cap:')]).toString(), 'cap:k=!', "An explicit '!' covers absent inputs");
+  assertEqual(TaggedUrn.generalize([f('cap:k=x'), f('cap:k=!')]).toString(), 'cap:', "Present and '!' is partial");
+  assertEqual(TaggedUrn.generalize([f('cap:k=?')]).toString(), 'cap:k=?', "A key that is '?' everywhere stays '?'");
+
+  assertThrows(() => TaggedUrn.generalize([]), ErrorCodes.INVALID_FORMAT, 'At least one URN is needed');
+  assertThrows(() => TaggedUrn.generalize(['cap:a']), ErrorCodes.INVALID_FORMAT, 'Strings are not URNs');
+  assertThrows(() => TaggedUrn.generalize([null]), ErrorCodes.INVALID_FORMAT, 'null is not a URN');
+  assertThrows(() => TaggedUrn.generalize([f('cap:a'), undefined]), ErrorCodes.INVALID_FORMAT, 'undefined is not a URN');
+  assertThrows(() => TaggedUrn.generalize(f('cap:a')), ErrorCodes.INVALID_FORMAT, 'A bare URN is not an iterable');
+  assertThrows(() => TaggedUrn.generalize(urns, { partial: '*' }), ErrorCodes.INVALID_FORMAT, 'Unknown partial option');
+  assertThrows(() => TaggedUrn.generalize([f('cap:'), f('media:')]), ErrorCodes.PREFIX_MISMATCH, 'Prefixes must match');
+
+  // Round trip: the result accepts every input, under every option
+  const values = [undefined, 'x', 'y', '*', '?', '!'];
+  const rand = seededRandom(22);
+  for (let i = 0; i < 300; i++) {
+    const inputs = [];
+    const count = 1 + Math.floor(rand() * 4);
+    for (let j = 0; j < count; j++) {
+      const tags = {};
+      for (const key of ['a', 'b', 'c']) {
+        const value = values[Math.floor(rand() * values.length)];
+        if (value !== undefined) {
+          tags[key] = value;
+        }
+      }
+      inputs.push(new TaggedUrn('cap', tags));
+    }
+    for (const options of [{}, { partial: '?' }, { absentKeys: ['a', 'd'] }]) {
+      const pattern = TaggedUrn.generalize(inputs, options);
+      for (const input of inputs) {
+        assert(pattern.accepts(input), `${pattern} should accept ${input} (${JSON.stringify(options)})`);
+      }
+    }
+  }
+}
+
+// JS-only: subsumes and relationTo follow set-of-concrete-instances semantics
+function testJsOnly_pattern_relations() {
+  const f = s => TaggedUrn.fromString(s);
+  assert(f('cap:ext').accepts(f('cap:ext=?')), 'accepts reads its argument as an instance');
+  assert(!f('cap:ext').subsumes(f('cap:ext=?')), "'?' allows a missing ext, which '*' rejects");
+  assert(f('cap:ext').subsumes(f('cap:ext=pdf')), "'*' subsumes an exact value");
+  assert(f('cap:ext=pdf').isSubpatternOf(f('cap:')), 'Everything is a subpattern of the empty pattern');
+  assertEqual(f('cap:k=?').relationTo(f('cap:')), PatternRelation.EQUAL, "'?' is no constraint");
+  assertEqual(f('cap:ext=pdf').relationTo(f('cap:ext')), PatternRelation.NARROWER, 'Exact is narrower than *');
+  assertEqual(f('cap:ext').relationTo(f('cap:ext=pdf')), PatternRelation.WIDER, '* is wider than exact');
+  assertEqual(f('cap:ext=pdf').relationTo(f('cap:lang=en')), PatternRelation.OVERLAPPING, 'Independent keys overlap');
+  assertEqual(f('cap:ext=!').relationTo(f('cap:ext')), PatternRelation.DISJOINT, "'!' and '*' share no instance");
+  assertThrows(() => f('cap:').subsumes(f('media:')), ErrorCodes.PREFIX_MISMATCH, 'Prefixes must match');
+
+  // Brute force: compare with the actual sets of concrete instances over a small universe,
+  // where 'z' stands in for every value the patterns do not name
+  const patternValues = [undefined, 'x', 'y', '*', '?', '!'];
+  const concreteValues = [undefined, 'x', 'y', 'z'];
+  const build = (a, b) => {
+    const tags = {};
+    if (a !== undefined) {
+      tags.a = a;
+    }
+    if (b !== undefined) {
+      tags.b = b;
+    }
+    return new TaggedUrn('cap', tags);
+  };
+  const instances = [];
+  for (const a of concreteValues) {
+    for (const b of concreteValues) {
+      instances.push(build(a, b));
+    }
+  }
+  const patterns = [];
+  for (const a of patternValues) {
+    for (const b of patternValues) {
+      patterns.push(build(a, b));
+    }
+  }
+  const accepted = new Map(patterns.map(p => [p, new Set(instances.filter(i => p.accepts(i)))]));
+  for (const p of patterns) {
+    for (const q of patterns) {
+      const ps = accepted.get(p);
+      const qs = accepted.get(q);
+      const pWider = [...qs].every(i => ps.has(i));
+      const qWider = [...ps].every(i => qs.has(i));
+      const common = [...ps].some(i => qs.has(i));
+      const expected = pWider && qWider ? PatternRelation.EQUAL
+        : qWider ? PatternRelation.NARROWER
+          : pWider ? PatternRelation.WIDER
+            : common ? PatternRelation.OVERLAPPING : PatternRelation.DISJOINT;
+      assertEqual(p.subsumes(q), pWider, `${p} subsumes ${q}`);
+      assertEqual(p.relationTo(q), expected, `${p} relation to ${q}`);
+    }
+  }
+}
+
+// JS-only: compatibilityReport relates every pair, including overlaps areCompatible misses
+function testJsOnly_compatibility_report() {
+  const f = s => TaggedUrn.fromString(s);
+  const client = [f('cap:ext=pdf'), f('cap:lang=en')];
+  const server = [f('cap:ext'), f('cap:ext=pdf;lang=fr'), f('cap:ext=!'), f('cap:ext=pdf')];
+  const report = UrnMatcher.compatibilityReport(client, server);
+  assert(report.compatible, 'Some pair is compatible');
+  assertEqual(report.pairs.length, 8, 'One pair per combination');
+  const relations = report.pairs.map(pair => `${pair.left} ${pair.relation} ${pair.right}`);
+  assertDeepEqual(relations, [
+    'cap:ext=pdf refines cap:ext',
+    'cap:ext=pdf generalizes cap:ext=pdf;lang=fr',
+    'cap:ext=pdf disjoint cap:ext=!',
+    'cap:ext=pdf equivalent cap:ext=pdf',
+    'cap:lang=en overlaps cap:ext',
+    'cap:lang=en disjoint cap:ext=pdf;lang=fr',
+    'cap:lang=en overlaps cap:ext=!',
+    'cap:lang=en overlaps cap:ext=pdf'
+  ], 'Relations in input order');
+
+  const overlap = report.pairs[4];
+  assertEqual(overlap.intersection.toString(), 'cap:ext;lang=en', 'Overlap carries the intersection');
+  assert(!overlap.left.accepts(overlap.right) && !overlap.right.accepts(overlap.left),
+    'Neither side of an overlap accepts the other');
+  assert(!UrnMatcher.areCompatible([client[1]], [server[0]]), 'areCompatible misses the overlap');
+  assertEqual(report.pairs[0].intersection.toString(), 'cap:ext=pdf', 'Refinement intersects to the narrower side');
+
+  const disjoint = report.pairs[5];
+  assertEqual(disjoint.intersection, null, 'Disjoint pairs have no intersection');
+  assertDeepEqual(disjoint.conflicts.map(c => [c.key, c.values]), [['lang', ['en', 'fr']]], 'Disjoint pairs name the conflict');
+
+  const none = UrnMatcher.compatibilityReport([f('cap:ext=pdf')], [f('cap:ext=png')]);
+  assertEqual(none.compatible, false, 'Only disjoint pairs means incompatible');
+  assertDeepEqual(UrnMatcher.compatibilityReport([], server), { compatible: false, pairs: [] }, 'Empty side');
+  assertThrows(() => UrnMatcher.compatibilityReport([f('cap:')], [f('media:')]),
+    ErrorCodes.PREFIX_MISMATCH, 'Prefixes must match');
+}
+
+// JS-only: closed-world matching rejects instance keys the pattern does not mention
+function testJsOnly_closed_world_matching() {
+  const f = s => TaggedUrn.fromString(s);
+  const pattern = f('cap:op=generate');
+  const extra = f('cap:experimental=yes;op=generate;unsafe=1');
+  const closed = { closed: true };
+  assert(pattern.accepts(extra), 'Open-world matching ignores unmentioned keys');
+  assert(!pattern.accepts(extra, closed), 'Closed-world matching rejects them');
+  assert(!extra.conformsTo(pattern, closed), 'conformsTo takes the same option');
+  assert(!pattern.acceptsStr('cap:op=generate;unsafe=1', closed), 'acceptsStr takes the same option');
+  assert(!extra.conformsToStr('cap:op=generate', closed), 'conformsToStr takes the same option');
+  assert(pattern.accepts(f('cap:op=generate'), closed), 'Exact shape is accepted');
+  assert(!pattern.accepts(f('cap:op=extract'), closed), 'Mentioned keys still follow the truth table');
+  assert(pattern.accepts(extra, { closed: true, ignoreKeys: ['Experimental', 'unsafe'] }),
+    'Ignorable keys are allowed, case-insensitively');
+  assert(!pattern.accepts(extra, { closed: true, ignoreKeys: ['experimental'] }), 'Every extra key must be ignorable');
+  assert(pattern.accepts(f('cap:op=generate;unsafe=!'), closed), "An instance '!' carries no key");
+  assert(f('cap:debug=?;op=generate').accepts(f('cap:debug=on;op=generate'), closed),
+    "A pattern '?' mentions the key");
+  assert(!f('cap:debug=!;op=generate').accepts(f('cap:debug=on;op=generate'), closed),
+    "A pattern '!' still rejects the key");
+  assert(pattern.accepts(extra, { closed: false, ignoreKeys: [] }), 'closed: false is open-world');
+  assertThrows(() => pattern.accepts(extra, { closed: true, ignoreKeys: 'unsafe' }),
+    ErrorCodes.INVALID_FORMAT, 'ignoreKeys must be an array');
+  assertThrows(() => pattern.accepts(f('media:'), closed), ErrorCodes.PREFIX_MISMATCH, 'Prefixes must match');
+
+  // Explanations take the same options and never disagree with the match
+  const explained = f('cap:a=1;z=1').explainMatch(f('cap:a=1'), closed);
+  assertEqual(explained.matches, false, 'Closed-world explanation should fail like conformsTo');
+  assertDeepEqual(explained.keys.map(k => [k.key, k.rule, k.matches]),
+    [['a', 'EXACT_MATCH', true], ['z', 'UNMENTIONED_KEY', false]], 'Unmentioned key gets its own row');
+  assert(f('cap:a=1;z=1').explainMatch(f('cap:a=1')).matches, 'Open-world explanation still matches');
+  assert(f('cap:a=1').explainAccepts(f('cap:a=1;z=1'), { closed: true, ignoreKeys: ['z'] }).matches, 'Ignorable keys explain as matching');
+  assertEqual(f('cap:a=1').explainAccepts(f('cap:a=1;z=!'), closed).keys[1].rule, 'NO_CONSTRAINT', "An instance '!' is not unmentioned");
+
+  // compile, UrnMatcher and UrnIndex agree with accepts
+  const rand = seededRandom(25);
+  const values = ['a', 'b', '*', '?', '!'];
+  const keys = ['k1', 'k2', 'k3'];
+  const randomUrn = () => {
+    const tags = {};
+    for (const key of keys) {
+      if (rand() < 0.5) {
+        tags[key] = values[Math.floor(rand() * values.length)];
+      }
+    }
+    return new TaggedUrn('cap', tags);
+  };
+  const urns = Array.from({ length: 40 }, randomUrn);
+  const index = new UrnIndex(urns);
+  for (let i = 0; i < 40; i++) {
+    const request = randomUrn();
+    for (const options of [closed, { closed: true, ignoreKeys: ['k3'] }]) {
+      const compiled = request.compile(options);
+      const expected = urns.filter(urn => request.accepts(urn, options));
+      assertDeepEqual(urns.filter(compiled), expected, `compile(${JSON.stringify(options)}) for ${request}`);
+      const all = UrnMatcher.findAllMatches(urns, request, options);
+      assertEqual(all.length, expected.length, `UrnMatcher closed matches for ${request}`);
+      assert(all.every(urn => expected.includes(urn)), `UrnMatcher closed matches for ${request}`);
+      assertDeepEqual(index.findAllMatches(request, options).map(String), all.map(String),
+        `UrnIndex closed matches for ${request}`);
+      assertEqual(UrnMatcher.findBestMatch(urns, request, options), all.length > 0 ? all[0] : null,
+        `Best closed match for ${request}`);
+      for (const urn of urns) {
+        assertEqual(urn.explainMatch(request, options).matches, urn.conformsTo(request, options),
+          `Closed explanation of ${urn} against ${request}`);
+      }
+    }
+  }
+}
+
 // ============================================================================
 // CONVENIENCE METHOD TESTS (conformsToStr, acceptsStr, canonical)
 // ============================================================================
@@ -1202,7 +2613,7 @@ function testCanonicalOption() {
 // TEST RUNNER
 // ============================================================================
 
-function runTests() {
+async function runTests() {
   const tests = [
     // Parsing/Creation (TEST501-TEST518)
     ['TEST501', test501_tagged_urn_creation],
@@ -1296,6 +2707,47 @@ function runTests() {
     ['TEST577', test577_specificity_with_special_values],
     // JS-only tests
     ['JS-ONLY: op tag rename', testJsOnly_op_tag_rename],
+    ['JS-ONLY: parse error diagnostics', testJsOnly_parse_error_diagnostics],
+    ['JS-ONLY: parse error snippet', testJsOnly_parse_error_snippet],
+    ['JS-ONLY: tryParse collects all errors', testJsOnly_try_parse_collects_all_errors],
+    ['JS-ONLY: validate', testJsOnly_validate],
+    ['JS-ONLY: parseMany', testJsOnly_parse_many],
+    ['JS-ONLY: parseStream', testJsOnly_parse_stream],
+    ['JS-ONLY: serialization quotes non-grammar chars', testJsOnly_serialization_quotes_non_grammar_chars],
+    ['JS-ONLY: random value round-trip', testJsOnly_random_value_round_trip],
+    ['JS-ONLY: construction key validation', testJsOnly_construction_key_validation],
+    ['JS-ONLY: construction prefix validation', testJsOnly_construction_prefix_validation],
+    ['JS-ONLY: prototype keys are ordinary tags', testJsOnly_prototype_keys_are_ordinary_tags],
+    ['JS-ONLY: immutable instances', testJsOnly_immutable_instances],
+    ['JS-ONLY: tag view API', testJsOnly_tag_view_api],
+    ['JS-ONLY: structural sharing', testJsOnly_structural_sharing],
+    ['JS-ONLY: toJSON', testJsOnly_to_json],
+    ['JS-ONLY: fromJSON', testJsOnly_from_json],
+    ['JS-ONLY: JSON reviver', testJsOnly_json_reviver],
+    ['JS-ONLY: URI component encoding', testJsOnly_uri_component_encoding],
+    ['JS-ONLY: URI component in URLs', testJsOnly_uri_component_in_urls],
+    ['JS-ONLY: filename encoding', testJsOnly_filename_encoding],
+    ['JS-ONLY: filename length bound', testJsOnly_filename_length_bound],
+    ['JS-ONLY: binary round trip', testJsOnly_binary_round_trip],
+    ['JS-ONLY: binary corrupt input', testJsOnly_binary_corrupt_input],
+    ['JS-ONLY: hash and digest', testJsOnly_hash_and_digest],
+    ['JS-ONLY: UrnMap', testJsOnly_urn_map],
+    ['JS-ONLY: UrnSet', testJsOnly_urn_set],
+    ['JS-ONLY: interning', testJsOnly_interning],
+    ['JS-ONLY: identity fast paths', testJsOnly_identity_fast_paths],
+    ['JS-ONLY: parse positions after astral characters', testJsOnly_parse_positions_after_astral_characters],
+    ['JS-ONLY: compiled pattern matches accepts', testJsOnly_compiled_pattern_matches_accepts],
+    ['JS-ONLY: UrnIndex matches linear scan', testJsOnly_urn_index_matches_linear_scan],
+    ['JS-ONLY: UrnIndex prefix mismatch', testJsOnly_urn_index_prefix_mismatch],
+    ['JS-ONLY: match tie breaking', testJsOnly_match_tie_breaking],
+    ['JS-ONLY: findBestMatchStrict', testJsOnly_find_best_match_strict],
+    ['JS-ONLY: ranking strategies', testJsOnly_ranking_strategies],
+    ['JS-ONLY: explainMatch', testJsOnly_explain_match],
+    ['JS-ONLY: intersect', testJsOnly_intersect],
+    ['JS-ONLY: generalize', testJsOnly_generalize],
+    ['JS-ONLY: pattern relations', testJsOnly_pattern_relations],
+    ['JS-ONLY: compatibility report', testJsOnly_compatibility_report],
+    ['JS-ONLY: closed-world matching', testJsOnly_closed_world_matching],
     // Convenience method tests
     ['conformsToStr', testConformsToStr],
     ['acceptsStr', testAcceptsStr],
@@ -1310,7 +2762,7 @@ function runTests() {
 
   for (const [name, fn] of tests) {
     try {
-      fn();
+      await fn();
       console.log(`  OK ${name}`);
       passed++;
     } catch (error) {
@@ -1328,13 +2780,13 @@ function runTests() {
 
 // Run the tests
 if (require.main === module) {
-  try {
-    runTests();
-    process.exit(0);
-  } catch (error) {
-    console.error('\nERR Test suite failed:', error.message);
-    process.exit(1);
-  }
+  runTests().then(
+    () => process.exit(0),
+    (error) => {
+      console.error('\nERR Test suite failed:', error.message);
+      process.exit(1);
+    }
+  );
 }
 
 module.exports = { runTests };